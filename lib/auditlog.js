@@ -0,0 +1,98 @@
+/* jshint node:true */
+'use strict';
+
+// Schema of the login audit log, one entry per authentication outcome. It is
+// built with the Schema class of the user schema, so both use the same
+// mongoose.
+
+// The outcome recorded for the result of an authentication
+exports.outcome = function (user, info) {
+  if (user) {
+    return 'success';
+  }
+
+  var result = info && info.result;
+
+  if (result === 'accountLocked') {
+    return 'locked';
+  }
+
+  if (result === 'rateLimited') {
+    return 'attemptTooSoon';
+  }
+
+  return result || 'failed';
+};
+
+exports.schema = function (Schema, userModelName, ttl) {
+  var createdAt = {
+    type: Date,
+    default: Date.now
+  };
+
+  if (ttl) {
+    // MongoDB removes entries older than that
+    createdAt.expires = Math.round(ttl / 1000);
+  } else {
+    createdAt.index = true;
+  }
+
+  var schema = new Schema({
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: userModelName
+    },
+    identifier: String,
+    outcome: String,
+    ip: String,
+    userAgent: String,
+    createdAt: createdAt
+  });
+
+  schema.index({
+    user: 1,
+    createdAt: -1
+  });
+  schema.index({
+    ip: 1,
+    createdAt: -1
+  });
+
+  var recentFailures = function (model, conditions, queryOptions, cb) {
+    if (typeof queryOptions === 'function') {
+      cb = queryOptions;
+      queryOptions = {};
+    }
+
+    queryOptions = queryOptions || {};
+    conditions.outcome = {
+      $ne: 'success'
+    };
+
+    if (queryOptions.since) {
+      conditions.createdAt = {
+        $gte: queryOptions.since
+      };
+    }
+
+    return model.find(conditions).sort({
+      createdAt: -1
+    }).limit(queryOptions.limit || 100).exec(cb);
+  };
+
+  // The latest failed logins of a user, newest first. `queryOptions.since`
+  // leaves out older ones, `queryOptions.limit` caps the number (default 100).
+  schema.statics.recentFailures = function (user, queryOptions, cb) {
+    return recentFailures(this, {
+      user: user && user._id ? user._id : user
+    }, queryOptions, cb);
+  };
+
+  schema.statics.recentFailuresForIp = function (ip, queryOptions, cb) {
+    return recentFailures(this, {
+      ip: ip
+    }, queryOptions, cb);
+  };
+
+  return schema;
+};
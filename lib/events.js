@@ -0,0 +1,30 @@
+/* jshint node:true */
+'use strict';
+
+// Account events are emitted on a plain EventEmitter, but listeners are called
+// one by one in a try/catch, and the promise an async listener returns is
+// caught, so a failing listener cannot break the login or whatever else emitted
+// the event. Its error is emitted as 'error' with the event and the arguments,
+// if anyone listens for that.
+exports.emit = function (emitter, event) {
+  var args = Array.prototype.slice.call(arguments, 2);
+
+  var report = function (err) {
+    if (event !== 'error') {
+      exports.emit.apply(null, [emitter, 'error', err, event].concat(args));
+    }
+  };
+
+  // the raw listeners, so that listeners added with once are removed
+  emitter.rawListeners(event).forEach(function (listener) {
+    try {
+      var result = listener.apply(emitter, args);
+
+      if (result && typeof result.then === 'function') {
+        result.then(null, report);
+      }
+    } catch (err) {
+      report(err);
+    }
+  });
+};
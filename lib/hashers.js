@@ -0,0 +1,78 @@
+/* jshint node:true */
+'use strict';
+
+var crypto = require('crypto');
+
+// Built-in password hashers. A hasher derives a key from a password and a salt
+// and yields it as a Buffer. `params` picks the parameters the plugin options
+// currently ask for; they are stored with every hash so it can be verified
+// with exactly the same settings later on.
+var builtIn = {
+  pbkdf2: {
+    params: function (options) {
+      return {
+        iterations: options.iterations,
+        keylen: options.keylen,
+        digest: options.digest
+      };
+    },
+    hash: function (password, salt, params, cb) {
+      crypto.pbkdf2(password, salt, params.iterations, params.keylen, params.digest, cb);
+    }
+  },
+
+  scrypt: {
+    params: function (options) {
+      return {
+        keylen: options.keylen,
+        cost: options.cost || 16384,
+        blockSize: options.blockSize || 8,
+        parallelization: options.parallelization || 1
+      };
+    },
+    hash: function (password, salt, params, cb) {
+      crypto.scrypt(password, salt, params.keylen, {
+        N: params.cost,
+        r: params.blockSize,
+        p: params.parallelization,
+        // scrypt needs 128 * N * r bytes, leave some headroom over that
+        maxmem: 256 * params.cost * params.blockSize
+      }, cb);
+    }
+  }
+};
+
+function normalize(hasher) {
+  if (typeof hasher === 'function') {
+    hasher = {
+      hash: hasher
+    };
+  }
+
+  if (!hasher || typeof hasher.hash !== 'function') {
+    throw new TypeError('A hasher needs a hash(password, salt, params, cb) function');
+  }
+
+  return {
+    params: hasher.params || function (options) {
+      return options.hashParams || {};
+    },
+    hash: hasher.hash
+  };
+}
+
+// Returns the hashers known to a schema: the built-in ones plus the custom
+// ones passed in the `hashers` option, keyed by algorithm name.
+exports.registry = function (custom) {
+  var registry = {};
+
+  Object.keys(builtIn).forEach(function (name) {
+    registry[name] = builtIn[name];
+  });
+
+  Object.keys(custom || {}).forEach(function (name) {
+    registry[name] = normalize(custom[name]);
+  });
+
+  return registry;
+};
@@ -0,0 +1,130 @@
+/* jshint node:true */
+'use strict';
+
+var util = require('util');
+
+// Messages sent by the account flows. `{{name}}` placeholders are replaced by
+// the values of the message: username, email, token and link.
+var defaultTemplates = {
+  en: {
+    verification: {
+      subject: 'Please verify your email address',
+      text: 'Hello {{username}},\n\nplease verify your email address: {{link}}\n'
+    },
+    passwordReset: {
+      subject: 'Reset your password',
+      text: 'Hello {{username}},\n\nyou can set a new password here: {{link}}\n\n' +
+        'If you did not ask to reset your password, please ignore this email.\n'
+    },
+    lockout: {
+      subject: 'Your account has been locked',
+      text: 'Hello {{username}},\n\nyour account has been locked after too many failed login attempts. ' +
+        'You can unlock it here: {{link}}\n'
+    },
+    emailChange: {
+      subject: 'Please confirm your new email address',
+      text: 'Hello {{username}},\n\nplease confirm your new email address: {{link}}\n'
+    },
+    magicLink: {
+      subject: 'Your login link',
+      text: 'Hello {{username}},\n\nuse this link to log in: {{link}}\n\n' +
+        'The link can be used once and expires soon. If you did not ask for it, please ignore this email.\n'
+    },
+    loginCode: {
+      subject: 'Your login code',
+      text: 'Hello {{username}},\n\nyour login code is {{code}}\n\n' +
+        'The code can be used once and expires soon. If you did not ask for it, please ignore this email.\n'
+    },
+    emailChangeRevert: {
+      subject: 'Your email address is being changed',
+      text: 'Hello {{username}},\n\nthe email address of your account is being changed to {{pendingEmail}}. ' +
+        'If you did not ask for this, you can undo the change here: {{link}}\n'
+    }
+  }
+};
+
+function render(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, function (placeholder, name) {
+    return values[name] === undefined ? '' : String(values[name]);
+  });
+}
+
+// Sends templated account emails through a transport with a
+// `send(message, cb)` function. The transport may return a promise instead
+// of calling `cb`.
+function Mailer(options) {
+  if (!options.transport || typeof options.transport.send !== 'function') {
+    throw new TypeError('The mailer needs a transport with a send(message) function');
+  }
+
+  this.transport = options.transport;
+  this.from = options.from;
+  this.locale = options.locale || 'en';
+  this.links = options.links || {};
+  this.templates = {};
+
+  var templates = options.templates || {};
+  var self = this;
+
+  Object.keys(defaultTemplates).concat(Object.keys(templates)).forEach(function (locale) {
+    self.templates[locale] = Object.assign({}, defaultTemplates[locale], templates[locale]);
+  });
+}
+
+// Picks the template in the locale of the message, falling back to the
+// default locale and to the built-in english templates
+Mailer.prototype.template = function (name, locale) {
+  var candidates = [locale, this.locale, 'en'];
+
+  for (var i = 0; i < candidates.length; i++) {
+    var templates = this.templates[candidates[i]];
+
+    if (templates && templates[name]) {
+      return templates[name];
+    }
+  }
+
+  throw new Error(util.format('Unknown email template "%s"', name));
+};
+
+// Sends the template `name` to `values.email`. The link is built from the
+// `links` option, for example `https://example.com/verify?token={{token}}`,
+// and is the token itself if no link is configured.
+Mailer.prototype.send = function (name, values, cb) {
+  var template;
+
+  try {
+    template = this.template(name, values.locale);
+  } catch (err) {
+    return cb(err);
+  }
+
+  values = Object.assign({}, values);
+  values.link = this.links[name] ? render(this.links[name], values) : values.token;
+
+  var message = {
+    from: this.from,
+    to: values.email,
+    subject: render(template.subject, values),
+    text: render(template.text, values),
+    template: name
+  };
+
+  var called = false;
+  var done = function (err) {
+    if (!called) {
+      called = true;
+      cb(err || null, message);
+    }
+  };
+
+  var result = this.transport.send(message, done);
+
+  if (result && typeof result.then === 'function') {
+    result.then(function () {
+      done();
+    }, done);
+  }
+};
+
+module.exports = Mailer;
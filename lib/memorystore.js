@@ -0,0 +1,59 @@
+/* jshint node:true */
+'use strict';
+
+// Rate limit store keeping the counters in memory. It only limits the process
+// it runs in, use a shared store when the app runs in several processes.
+function MemoryStore() {
+  this.counters = {};
+  this.hits = 0;
+}
+
+MemoryStore.prototype.increment = function (key, window, cb) {
+  var now = Date.now();
+  var counter = this.counters[key];
+
+  if (!counter || counter.resetAt <= now) {
+    counter = this.counters[key] = {
+      count: 0,
+      resetAt: now + window
+    };
+  }
+
+  counter.count++;
+
+  // drop expired counters now and then, so the memory used stays bounded
+  if (++this.hits % 1000 === 0) {
+    this.prune(now);
+  }
+
+  var result = {
+    count: counter.count,
+    resetAt: counter.resetAt
+  };
+
+  process.nextTick(function () {
+    cb(null, result);
+  });
+};
+
+MemoryStore.prototype.decrement = function (key, cb) {
+  var counter = this.counters[key];
+
+  if (counter && counter.count > 0) {
+    counter.count--;
+  }
+
+  process.nextTick(cb);
+};
+
+MemoryStore.prototype.prune = function (now) {
+  var counters = this.counters;
+
+  Object.keys(counters).forEach(function (key) {
+    if (counters[key].resetAt <= now) {
+      delete counters[key];
+    }
+  });
+};
+
+module.exports = MemoryStore;
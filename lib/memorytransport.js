@@ -0,0 +1,18 @@
+/* jshint node:true */
+'use strict';
+
+// Mail transport keeping sent messages in memory, for tests and development
+function MemoryTransport() {
+  this.sent = [];
+}
+
+MemoryTransport.prototype.send = function (message, cb) {
+  this.sent.push(message);
+  process.nextTick(cb);
+};
+
+MemoryTransport.prototype.clear = function () {
+  this.sent = [];
+};
+
+module.exports = MemoryTransport;
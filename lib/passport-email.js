@@ -3,15 +3,121 @@
 
 var util = require('util');
 var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
 var LocalStrategy = require('passport-local').Strategy;
 var BadRequestError = require('./badrequesterror');
+var hashers = require('./hashers');
+var checkPasswordPolicy = require('./passwordpolicy');
+var tokens = require('./tokens');
+var Mailer = require('./mailer');
+var MemoryTransport = require('./memorytransport');
+var TokenStrategy = require('./tokenstrategy');
+var totp = require('./totp');
+var throttle = require('./throttle');
+var RateLimiter = require('./ratelimiter');
+var MemoryStore = require('./memorystore');
+var auditLog = require('./auditlog');
+var events = require('./events');
+
+// Runs `fn` with a node style callback. The outcome is handed to `cb` when one
+// is given, otherwise a promise is returned. `toResult` maps the callback
+// arguments following `err` to the value the promise resolves with.
+function withCallback(cb, fn, toResult) {
+  if (cb) {
+    return fn(cb);
+  }
+
+  return new Promise(function (resolve, reject) {
+    fn(function (err) {
+      if (err) {
+        return reject(err);
+      }
+
+      var args = Array.prototype.slice.call(arguments, 1);
+      resolve(toResult ? toResult.apply(null, args) : args[0]);
+    });
+  });
+}
+
+// The error of a failed email is only part of the result if there is one
+function withMailError(result, mailError) {
+  if (mailError) {
+    result.mailError = mailError;
+  }
+
+  return result;
+}
+
+function toTokenResult(token, user, mailError) {
+  return withMailError({
+    token: token,
+    user: user
+  }, mailError);
+}
+
+function toRegisterResult(user, token, mailError) {
+  if (token === undefined) {
+    return user;
+  }
+
+  return withMailError({
+    user: user,
+    token: token
+  }, mailError);
+}
+
+function toEmailChangeResult(confirmToken, revertToken, mailError) {
+  return withMailError({
+    confirmToken: confirmToken,
+    revertToken: revertToken
+  }, mailError);
+}
+
+function toTwoFactorSetupResult(secret, uri) {
+  return {
+    secret: secret,
+    uri: uri
+  };
+}
+
+function toAuthResult(user, info) {
+  return {
+    user: user,
+    info: info
+  };
+}
+
+// Makes a query awaitable while keeping it chainable.
+function thenable(query) {
+  query.then = function (onFulfilled, onRejected) {
+    return withCallback(null, this.exec.bind(this)).then(onFulfilled, onRejected);
+  };
+  query.catch = function (onRejected) {
+    return this.then(null, onRejected);
+  };
+
+  return query;
+}
 
 module.exports = function (schema, options) {
   options = options || {};
   options.saltlen = options.saltlen || 32;
   options.iterations = options.iterations || 25000;
   options.keylen = options.keylen || 512;
+  options.digest = options.digest || 'sha256';
   options.encoding = options.encoding || 'hex';
+  options.algorithm = options.algorithm || 'pbkdf2';
+  options.rehashOnLogin = options.rehashOnLogin === undefined ? true : options.rehashOnLogin;
+
+  // a single pepper is shorthand for a key set with one version
+  if (typeof options.pepper === 'string') {
+    options.pepper = {
+      current: 'default',
+      keys: {
+        default: options.pepper
+      }
+    };
+  }
 
   // Populate field names with defaults if not set
   options.usernameField = options.usernameField || 'username';
@@ -24,14 +130,121 @@ module.exports = function (schema, options) {
 
   options.hashField = options.hashField || 'hash';
   options.saltField = options.saltField || 'salt';
+  options.hashParamsField = options.hashParamsField || 'hashParams';
+
+  options.serializeField = options.serializeField || '_id';
+  options.sessionVersionField = options.sessionVersionField || 'sessionVersion';
+
+  if (options.passwordHistory) {
+    options.passwordHistoryField = options.passwordHistoryField || 'passwordHistory';
+  }
+
+  if (options.expirePasswords) {
+    options.passwordChangedField = options.passwordChangedField || 'passwordChanged';
+    options.mustChangePasswordField = options.mustChangePasswordField || 'mustChangePassword';
+    options.passwordMaxAge = options.passwordMaxAge || 7776000000; // 90 days
+  }
+
+  if (options.passwordReset) {
+    options.resetTokenField = options.resetTokenField || 'resetToken';
+    options.resetExpiresField = options.resetExpiresField || 'resetExpires';
+    options.resetUsedField = options.resetUsedField || 'resetUsed';
+    options.resetTokenTTL = options.resetTokenTTL || 3600000; // 1 hour
+  }
+
+  // refusing unverified users needs the verification fields
+  options.emailVerification = options.emailVerification || options.requireVerifiedEmail;
+
+  if (options.emailVerification) {
+    options.verifiedField = options.verifiedField || 'verified';
+    options.verifyTokenField = options.verifyTokenField || 'verifyToken';
+    options.verifyExpiresField = options.verifyExpiresField || 'verifyExpires';
+    options.verifyTokenTTL = options.verifyTokenTTL || 86400000; // 24 hours
+  }
+
+  if (options.emailChange) {
+    options.pendingEmailField = options.pendingEmailField || 'pendingEmail';
+    options.emailChangeTokenField = options.emailChangeTokenField || 'emailChangeToken';
+    options.emailChangeExpiresField = options.emailChangeExpiresField || 'emailChangeExpires';
+    options.emailChangeTokenTTL = options.emailChangeTokenTTL || 86400000; // 24 hours
+    options.previousEmailField = options.previousEmailField || 'previousEmail';
+    options.emailRevertTokenField = options.emailRevertTokenField || 'emailRevertToken';
+    options.emailRevertExpiresField = options.emailRevertExpiresField || 'emailRevertExpires';
+    options.emailRevertTokenTTL = options.emailRevertTokenTTL || 604800000; // 7 days
+  }
+
+  if (options.magicLink) {
+    if (!options.magicLinkSecret) {
+      throw new Error('The magicLink option needs a magicLinkSecret to sign links with');
+    }
+
+    options.magicLinkTokenField = options.magicLinkTokenField || 'magicLinkToken';
+    options.magicLinkUsedField = options.magicLinkUsedField || 'magicLinkUsed';
+    options.magicLinkBindingField = options.magicLinkBindingField || 'magicLinkBinding';
+    options.magicLinkTTL = options.magicLinkTTL || 900000; // 15 minutes
+  }
+
+  if (options.rememberMe) {
+    options.rememberMeField = options.rememberMeField || 'rememberMe';
+    options.rememberMeTTL = options.rememberMeTTL || 2592000000; // 30 days
+  }
+
+  if (options.loginCode) {
+    options.loginCodeLength = options.loginCodeLength || 6;
+    options.loginCodeTTL = options.loginCodeTTL || 600000; // 10 minutes
+    options.loginCodeAttempts = options.loginCodeAttempts || 5;
+    options.loginCodeField = options.loginCodeField || 'loginCode';
+    options.loginCodeSaltField = options.loginCodeSaltField || 'loginCodeSalt';
+    options.loginCodeHashParamsField = options.loginCodeHashParamsField || 'loginCodeHashParams';
+    options.loginCodeExpiresField = options.loginCodeExpiresField || 'loginCodeExpires';
+    options.loginCodeAttemptsField = options.loginCodeAttemptsField || 'loginCodeAttempts';
+
+    if (options.loginCodeLength < 6 || options.loginCodeLength > 8) {
+      throw new Error('loginCodeLength has to be between 6 and 8 digits');
+    }
+  }
+
+  if (options.twoFactor) {
+    options.twoFactorDigits = options.twoFactorDigits || 6;
+    options.twoFactorPeriod = options.twoFactorPeriod || 30; // seconds
+    options.twoFactorWindow = options.twoFactorWindow === undefined ? 1 : options.twoFactorWindow;
+    options.twoFactorSecretField = options.twoFactorSecretField || 'twoFactorSecret';
+    options.twoFactorEnabledField = options.twoFactorEnabledField || 'twoFactorEnabled';
+    options.twoFactorLastStepField = options.twoFactorLastStepField || 'twoFactorLastStep';
+  }
+
+  if (options.recoveryCodes) {
+    options.recoveryCodeCount = options.recoveryCodeCount || 10;
+    options.recoveryCodesField = options.recoveryCodesField || 'recoveryCodes';
+  }
+
+  if (options.lockAfter) {
+    options.lockTime = options.lockTime === undefined ? 3600000 : options.lockTime; // 1 hour
+    options.attemptsField = options.attemptsField || 'attempts';
+    options.lockedField = options.lockedField || 'locked';
+    options.lockedUntilField = options.lockedUntilField || 'lockedUntil';
+    options.unlockTokenField = options.unlockTokenField || 'unlockToken';
+  }
+
+  if (options.auditLog) {
+    options.auditLogTTL = options.auditLogTTL === undefined ? 7776000000 : options.auditLogTTL; // 90 days
+  }
+
+  if (options.throttle) {
+    options.limitAttempts = true;
+  }
 
   if (options.limitAttempts) {
     options.lastLoginField = options.lastLoginField || 'last';
     options.attemptsField = options.attemptsField || 'attempts';
+    options.throttleStateField = options.throttleStateField || 'throttle';
     options.interval = options.interval || 100; // 100 ms
     options.maxInterval = options.maxInterval || 300000; // 5 min
   }
 
+  var throttlePolicy = options.limitAttempts && throttle.policy(options.throttle, options);
+  var throttleState = throttlePolicy && typeof throttlePolicy.update === 'function';
+
   options.incorrectPasswordError = options.incorrectPasswordError || 'Incorrect password';
   options.incorrectUsernameError = options.incorrectUsernameError || 'Incorrect %s';
   options.missingUsernameError = options.missingUsernameError || 'Field %s is not set';
@@ -40,219 +253,3128 @@ module.exports = function (schema, options) {
   options.userExistsError = options.userExistsError || 'User already exists with %s %s';
   options.noSaltValueStoredError = options.noSaltValueStoredError || 'Authentication not possible. No salt value stored in mongodb collection!';
   options.attemptTooSoonError = options.attemptTooSoonError || 'Login attempted too soon after previous attempt';
+  options.passwordPolicyError = options.passwordPolicyError || 'Password does not meet the requirements';
+  options.passwordTooShortError = options.passwordTooShortError || 'Password must be at least %d characters long';
+  options.passwordTooLongError = options.passwordTooLongError || 'Password must be at most %d characters long';
+  options.passwordMissingLowercaseError = options.passwordMissingLowercaseError || 'Password must contain a lowercase letter';
+  options.passwordMissingUppercaseError = options.passwordMissingUppercaseError || 'Password must contain an uppercase letter';
+  options.passwordMissingDigitError = options.passwordMissingDigitError || 'Password must contain a digit';
+  options.passwordMissingSymbolError = options.passwordMissingSymbolError || 'Password must contain a symbol';
+  options.passwordContainsUsernameError = options.passwordContainsUsernameError || 'Password must not contain the %s';
+  options.passwordContainsEmailError = options.passwordContainsEmailError || 'Password must not contain the email';
+  options.passwordInvalidError = options.passwordInvalidError || 'Password is not allowed';
+  options.passwordReusedError = options.passwordReusedError || 'Password has been used recently';
+  options.incorrectOldPasswordError = options.incorrectOldPasswordError || 'Incorrect old password';
+  options.userNotFoundError = options.userNotFoundError || 'No user found with %s %s';
+  options.resetTokenInvalidError = options.resetTokenInvalidError || 'Password reset token is invalid';
+  options.resetTokenExpiredError = options.resetTokenExpiredError || 'Password reset token has expired';
+  options.resetTokenUsedError = options.resetTokenUsedError || 'Password reset token has already been used';
+  options.verifyTokenInvalidError = options.verifyTokenInvalidError || 'Email verification token is invalid';
+  options.verifyTokenExpiredError = options.verifyTokenExpiredError || 'Email verification token has expired';
+  options.emailAlreadyVerifiedError = options.emailAlreadyVerifiedError || 'Email is already verified';
+  options.emailNotVerifiedError = options.emailNotVerifiedError || 'Email is not verified';
+  options.emailUnchangedError = options.emailUnchangedError || 'Email is unchanged';
+  options.emailChangeTokenInvalidError = options.emailChangeTokenInvalidError || 'Email change token is invalid';
+  options.emailChangeTokenExpiredError = options.emailChangeTokenExpiredError || 'Email change token has expired';
+  options.emailRevertTokenInvalidError = options.emailRevertTokenInvalidError || 'Email revert token is invalid';
+  options.emailRevertTokenExpiredError = options.emailRevertTokenExpiredError || 'Email revert token has expired';
+  options.magicLinkInvalidError = options.magicLinkInvalidError || 'Login link is invalid';
+  options.magicLinkExpiredError = options.magicLinkExpiredError || 'Login link has expired';
+  options.magicLinkUsedError = options.magicLinkUsedError || 'Login link has already been used';
+  options.magicLinkWrongBrowserError = options.magicLinkWrongBrowserError || 'Login link has to be opened in the browser it was requested from';
+  options.rememberMeInvalidError = options.rememberMeInvalidError || 'Remember me token is invalid';
+  options.rememberMeExpiredError = options.rememberMeExpiredError || 'Remember me token has expired';
+  options.rememberMeReusedError = options.rememberMeReusedError || 'Remember me token has been used before';
+  options.loginCodeInvalidError = options.loginCodeInvalidError || 'Incorrect login code';
+  options.loginCodeExpiredError = options.loginCodeExpiredError || 'Login code has expired';
+  options.loginCodeAttemptsExceededError = options.loginCodeAttemptsExceededError || 'Too many incorrect login codes, please request a new one';
+  options.secondFactorRequiredError = options.secondFactorRequiredError || 'Second factor required';
+  options.twoFactorCodeInvalidError = options.twoFactorCodeInvalidError || 'Incorrect two-factor code';
+  options.twoFactorNotSetUpError = options.twoFactorNotSetUpError || 'Two-factor authentication has not been set up';
+  options.twoFactorNotEnabledError = options.twoFactorNotEnabledError || 'Two-factor authentication is not enabled';
+  options.twoFactorAlreadyEnabledError = options.twoFactorAlreadyEnabledError || 'Two-factor authentication is already enabled';
+  options.recoveryCodeInvalidError = options.recoveryCodeInvalidError || 'Incorrect recovery code';
+  options.rateLimitedError = options.rateLimitedError || 'Too many login attempts, please try again later';
+  options.accountLockedError = options.accountLockedError || 'Account is locked after too many failed login attempts';
+  options.unlockTokenInvalidError = options.unlockTokenInvalidError || 'Unlock token is invalid';
+  options.passwordExpiredError = options.passwordExpiredError || 'Password has expired';
+  options.passwordChangeRequiredError = options.passwordChangeRequiredError || 'Password has to be changed';
+
+  var schemaFields = {};
+
+  // fields holding secrets that are never serialized by toJSON and cannot be
+  // selected through selectFields
+  var privateFields = [];
+
+  if (!schema.path(options.usernameField)) {
+    schemaFields[options.usernameField] = {
+      type: String,
+      unique: options.usernameUnique
+    };
+  }
+  if (!schema.path(options.emailField)) {
+    schemaFields[options.emailField] = {
+      type: String,
+      unique: true
+    };
+  }
+  schemaFields[options.hashField] = String;
+  schemaFields[options.sessionVersionField] = {
+    type: Number,
+    default: 0
+  };
+  schemaFields[options.saltField] = String;
+  schemaFields[options.hashParamsField] = {};
+
+  if (options.passwordHistory) {
+    schemaFields[options.passwordHistoryField] = {
+      type: [new schema.constructor({
+        hash: String,
+        salt: String,
+        hashParams: {}
+      }, {
+        _id: false
+      })],
+      select: false
+    };
+    privateFields.push(options.passwordHistoryField);
+  }
+
+  if (options.expirePasswords) {
+    schemaFields[options.passwordChangedField] = Date;
+    schemaFields[options.mustChangePasswordField] = {
+      type: Boolean,
+      default: false
+    };
+  }
+
+  if (options.passwordReset) {
+    schemaFields[options.resetTokenField] = {
+      type: String,
+      index: true
+    };
+    schemaFields[options.resetExpiresField] = Date;
+    schemaFields[options.resetUsedField] = Date;
+    privateFields.push(options.resetTokenField);
+  }
+
+  if (options.emailVerification) {
+    schemaFields[options.verifiedField] = {
+      type: Boolean,
+      default: false
+    };
+    schemaFields[options.verifyTokenField] = {
+      type: String,
+      index: true
+    };
+    schemaFields[options.verifyExpiresField] = Date;
+    privateFields.push(options.verifyTokenField);
+  }
+
+  if (options.emailChange) {
+    schemaFields[options.pendingEmailField] = String;
+    schemaFields[options.emailChangeTokenField] = {
+      type: String,
+      index: true
+    };
+    schemaFields[options.emailChangeExpiresField] = Date;
+    schemaFields[options.previousEmailField] = String;
+    schemaFields[options.emailRevertTokenField] = {
+      type: String,
+      index: true
+    };
+    schemaFields[options.emailRevertExpiresField] = Date;
+    privateFields.push(options.emailChangeTokenField, options.emailRevertTokenField);
+  }
+
+  if (options.magicLink) {
+    schemaFields[options.magicLinkTokenField] = String;
+    schemaFields[options.magicLinkUsedField] = Date;
+    schemaFields[options.magicLinkBindingField] = String;
+    privateFields.push(options.magicLinkTokenField, options.magicLinkBindingField);
+  }
+
+  if (options.rememberMe) {
+    schemaFields[options.rememberMeField] = [{
+      series: {
+        type: String,
+        index: true
+      },
+      hash: String,
+      expires: Date
+    }];
+    privateFields.push(options.rememberMeField);
+  }
+
+  if (options.loginCode) {
+    schemaFields[options.loginCodeField] = String;
+    schemaFields[options.loginCodeSaltField] = String;
+    schemaFields[options.loginCodeHashParamsField] = {};
+    schemaFields[options.loginCodeExpiresField] = Date;
+    schemaFields[options.loginCodeAttemptsField] = Number;
+    privateFields.push(options.loginCodeField, options.loginCodeSaltField);
+  }
+
+  if (options.twoFactor) {
+    schemaFields[options.twoFactorSecretField] = String;
+    schemaFields[options.twoFactorEnabledField] = {
+      type: Boolean,
+      default: false
+    };
+    schemaFields[options.twoFactorLastStepField] = Number;
+    privateFields.push(options.twoFactorSecretField, options.twoFactorLastStepField);
+  }
+
+  if (options.recoveryCodes) {
+    // { salt, hashParams, codes: [{ hash, used }] }
+    schemaFields[options.recoveryCodesField] = {};
+    privateFields.push(options.recoveryCodesField);
+  }
+
+  if (options.limitAttempts || options.lockAfter) {
+    schemaFields[options.attemptsField] = {
+      type: Number,
+      default: 0
+    };
+  }
+
+  if (options.lockAfter) {
+    schemaFields[options.lockedField] = {
+      type: Boolean,
+      default: false
+    };
+    schemaFields[options.lockedUntilField] = Date;
+    schemaFields[options.unlockTokenField] = {
+      type: String,
+      index: true
+    };
+    privateFields.push(options.unlockTokenField);
+  }
+
+  if (options.limitAttempts) {
+    schemaFields[options.lastLoginField] = {
+      type: Date,
+      default: Date.now
+    };
+  }
+
+  if (throttleState) {
+    schemaFields[options.throttleStateField] = {};
+    privateFields.push(options.throttleStateField);
+  }
+
+  schema.add(schemaFields);
+
+  var mailer = options.mailer && new Mailer(options.mailer);
+  var rateLimiter = options.rateLimit && new RateLimiter(options.rateLimit);
+  var emitter = options.events || new EventEmitter();
+  var auditSchema;
+
+  function emit(event, payload) {
+    events.emit(emitter, event, payload);
+  }
+
+  // Emits the outcome of a login as loginSucceeded, throttled or loginFailed.
+  // `context` holds the user the login was for, if it is known, and what else
+  // listeners get to know about the login.
+  function emitLogin(method, authenticated, info, context) {
+    var result = info && info.result;
+
+    // the login is not over until the second factor is verified
+    if (result === 'secondFactorRequired') {
+      return;
+    }
+
+    var payload = Object.assign({
+      method: method
+    }, context);
+
+    if (authenticated) {
+      payload.user = authenticated;
+      return emit('loginSucceeded', payload);
+    }
+
+    payload.result = result;
+    payload.message = info && info.message;
+
+    if (result === 'attemptTooSoon' || result === 'rateLimited') {
+      payload.retryAfter = info.retryAfter;
+      return emit('throttled', payload);
+    }
+
+    emit('loginFailed', payload);
+  }
+
+  // Wraps the callback of a login so that its outcome is emitted
+  function reportLogin(method, context, cb) {
+    return function (err, authenticated, info) {
+      if (!err) {
+        emitLogin(method, authenticated, info, context);
+      }
+
+      cb.apply(null, arguments);
+    };
+  }
+
+  // The audit log model of a user model, created on the connection of the
+  // user model the first time it is needed
+  function auditModel(model) {
+    var name = options.auditModelName || model.modelName + 'Audit';
+
+    if (!model.db.models[name]) {
+      auditSchema = auditSchema || auditLog.schema(schema.constructor, model.modelName, options.auditLogTTL);
+      model.db.model(name, auditSchema);
+    }
+
+    return model.db.models[name];
+  }
+
+  // Writes the outcome of a login to the audit log. `user` is the user the
+  // identifier belongs to, also if the login failed.
+  function audit(model, user, identifier, req, authenticated, info, cb) {
+    if (!options.auditLog) {
+      return cb();
+    }
+
+    var headers = (req && req.headers) || {};
+    var entry = {
+      user: user ? user._id : undefined,
+      identifier: identifier,
+      outcome: auditLog.outcome(authenticated, info),
+      ip: req && (req.ip || (req.connection && req.connection.remoteAddress)),
+      userAgent: headers['user-agent']
+    };
+
+    // a login does not fail because it could not be logged, the error goes
+    // to the 'error' listeners of the account events instead
+    auditModel(model).create(entry, function (err) {
+      if (err) {
+        events.emit(emitter, 'error', err, 'audit', entry);
+      }
+
+      cb();
+    });
+  }
+
+  // With hideUnknownUsers the account flows answer unknown users like known
+  // ones, without a token and without an email, so that their answer does not
+  // tell whether an account exists
+  function userNotFound(field, value, cb) {
+    if (options.hideUnknownUsers) {
+      return cb(null);
+    }
+
+    cb(new BadRequestError('userNotFound', util.format(options.userNotFoundError, field, value)));
+  }
+
+  // Emails a template to a user, if a mailer is configured
+  function sendMail(template, user, values, cb) {
+    if (!mailer) {
+      return cb();
+    }
+
+    values.username = user.get(options.usernameField);
+    values.email = values.email || user.get(options.emailField);
+    values.locale = options.mailer.localeField && user.get(options.mailer.localeField);
+
+    mailer.send(template, values, function (err) {
+      cb(err);
+    });
+  }
+
+  if (privateFields.length) {
+    var toJSON = schema.get('toJSON') || {};
+    var transform = toJSON.transform;
+
+    toJSON.transform = function (doc, ret, opts) {
+      privateFields.forEach(function (field) {
+        var path = field.split('.');
+        var last = path.pop();
+        var parent = path.reduce(function (obj, key) {
+          return obj && obj[key];
+        }, ret);
+
+        if (parent) {
+          delete parent[last];
+        }
+      });
+
+      return transform ? transform(doc, ret, opts) : ret;
+    };
+    schema.set('toJSON', toJSON);
+  }
+
+  // Fields an inclusive projection always gets. serializeUser and
+  // deserializeUser cannot tell stale sessions apart without the session
+  // version, and without the hash parameters hashes would be checked with the
+  // legacy ones.
+  var requiredFields = [options.sessionVersionField, options.hashParamsField];
+
+  // Removes private fields from a projection so that they cannot be selected
+  // and adds the required fields to inclusive ones
+  function publicSelection(selectFields) {
+    if (typeof selectFields === 'string') {
+      var fields = selectFields.split(/\s+/).filter(function (field) {
+        return privateFields.indexOf(field.replace(/^[+-]/, '')) === -1;
+      });
+      var inclusive = fields.some(function (field) {
+        return field && !/^[+-]/.test(field);
+      });
+
+      if (inclusive) {
+        requiredFields.forEach(function (field) {
+          if (fields.indexOf(field) === -1) {
+            fields.push(field);
+          }
+        });
+      }
+
+      return fields.join(' ');
+    }
+
+    var selection = {};
+    Object.keys(selectFields).forEach(function (field) {
+      if (privateFields.indexOf(field) === -1) {
+        selection[field] = selectFields[field];
+      }
+    });
+
+    var inclusiveObject = Object.keys(selection).some(function (field) {
+      return field !== '_id' && selection[field];
+    });
+
+    if (inclusiveObject) {
+      requiredFields.forEach(function (field) {
+        selection[field] = 1;
+      });
+    }
+
+    return selection;
+  }
+
+  var algorithms = hashers.registry(options.hashers);
+
+  if (!algorithms[options.algorithm]) {
+    throw new Error(util.format('Unknown hash algorithm "%s"', options.algorithm));
+  }
+
+  if (options.pepper && !(options.pepper.keys || {})[options.pepper.current]) {
+    throw new Error(util.format('Unknown pepper key "%s"', options.pepper.current));
+  }
+
+  // Parameters of the hashes setPassword creates, stored next to each hash
+  function currentHashParams() {
+    var params = algorithms[options.algorithm].params(options);
+    params.algorithm = options.algorithm;
+
+    if (options.pepper) {
+      params.pepper = options.pepper.current;
+    }
+
+    return params;
+  }
+
+  // Hashes stored before their parameters were recorded were all created with
+  // pbkdf2 and the digest node used to default to
+  function hashParamsOrLegacy(params) {
+    return params || {
+      algorithm: 'pbkdf2',
+      iterations: options.iterations,
+      keylen: options.keylen,
+      digest: 'sha1'
+    };
+  }
+
+  function storedHashParams(user) {
+    return hashParamsOrLegacy(user.get(options.hashParamsField));
+  }
+
+  function hashPassword(password, salt, params, cb) {
+    var algorithm = algorithms[params.algorithm];
+
+    if (!algorithm) {
+      return cb(new Error(util.format('Unknown hash algorithm "%s"', params.algorithm)));
+    }
+
+    // the pepper is mixed in before hashing and only its key id is stored
+    if (params.pepper !== undefined) {
+      var key = options.pepper && options.pepper.keys[params.pepper];
+
+      if (!key) {
+        return cb(new Error(util.format('Unknown pepper key "%s"', params.pepper)));
+      }
+
+      password = crypto.createHmac('sha256', key).update(password).digest('hex');
+    }
+
+    algorithm.hash(password, salt, params, function (err, hashRaw) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, Buffer.from(hashRaw).toString(options.encoding));
+    });
+  }
+
+  // Derives a new salt and hash for the password with the current hashing
+  // options and sets them on the user
+  function setHash(user, password, cb) {
+    crypto.randomBytes(options.saltlen, function (err, buf) {
+      if (err) {
+        return cb(err);
+      }
+
+      var salt = buf.toString(options.encoding);
+      var params = currentHashParams();
+
+      hashPassword(password, salt, params, function (err, hash) {
+        if (err) {
+          return cb(err);
+        }
+
+        user.set(options.hashField, hash);
+        user.set(options.saltField, salt);
+        user.set(options.hashParamsField, params);
+
+        cb(null, user);
+      });
+    });
+  }
+
+  function hashesEqual(hash, storedHash) {
+    var actual = Buffer.from(hash, options.encoding);
+    var expected = Buffer.from(storedHash || '', options.encoding);
+
+    if (actual.length !== expected.length) {
+      // keep the time spent independent of where the hashes differ
+      crypto.timingSafeEqual(actual, actual);
+      return false;
+    }
+
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  function verifyPassword(password, stored, cb) {
+    hashPassword(password, stored.salt, hashParamsOrLegacy(stored.hashParams), function (err, hash) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, hashesEqual(hash, stored.hash));
+    });
+  }
+
+  var dummySalt = crypto.randomBytes(options.saltlen).toString(options.encoding);
+
+  // Derives a throwaway hash so that failing without a stored hash to check
+  // against takes as long as failing with a wrong password
+  function dummyHash(password, cb) {
+    hashPassword(password, dummySalt, currentHashParams(), function () {
+      cb();
+    });
+  }
+
+  var twoFactorFields = [options.twoFactorSecretField, options.twoFactorEnabledField];
+
+  // Fields authenticate decides on once the password matched
+  var loginFields = [];
+
+  if (options.requireVerifiedEmail) {
+    loginFields.push(options.verifiedField);
+  }
+
+  if (options.expirePasswords) {
+    loginFields.push(options.passwordChangedField, options.mustChangePasswordField);
+  }
+
+  // Yields the user of a login with the first factor, unless the user has
+  // two-factor authentication. Then it is only logged in after verifyTwoFactor.
+  function requireSecondFactor(user, cb) {
+    if (!options.twoFactor) {
+      return cb(null, user);
+    }
+
+    loadFields(user, twoFactorFields, function (err) {
+      if (err) {
+        return cb(err);
+      }
+
+      if (!user.get(options.twoFactorEnabledField)) {
+        return cb(null, user);
+      }
+
+      cb(null, false, {
+        result: 'secondFactorRequired',
+        message: options.secondFactorRequiredError,
+        user: user
+      });
+    });
+  }
+
+  function verifyTotp(secret, code) {
+    return totp.verify(secret, code, {
+      digits: options.twoFactorDigits,
+      period: options.twoFactorPeriod,
+      window: options.twoFactorWindow
+    });
+  }
+
+  // Recovery codes are typed in by hand, so dashes, spaces and case are ignored
+  function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  }
+
+  // The login record of a user the throttling policy decides on
+  function loginRecord(user) {
+    return {
+      attempts: user.get(options.attemptsField) || 0,
+      last: +user.get(options.lastLoginField) || 0,
+      state: throttleState ? user.get(options.throttleStateField) : undefined
+    };
+  }
+
+  // With lockAfter, an account is locked until lockedUntil, or until it is
+  // unlocked if there is no lockedUntil
+  function isLocked(user) {
+    if (!options.lockAfter || !user.get(options.lockedField)) {
+      return false;
+    }
+
+    var lockedUntil = user.get(options.lockedUntilField);
+
+    return !lockedUntil || lockedUntil > Date.now();
+  }
+
+  function lockedInfo(user) {
+    var lockedUntil = user.get(options.lockedUntilField) || null;
+
+    return {
+      result: 'accountLocked',
+      message: options.accountLockedError,
+      lockedUntil: lockedUntil,
+      retryAfter: lockedUntil && Math.max(0, lockedUntil - Date.now())
+    };
+  }
+
+  function clearLock(user) {
+    user.set(options.lockedField, false);
+    user.set(options.lockedUntilField, undefined);
+    user.set(options.unlockTokenField, undefined);
+    user.set(options.attemptsField, 0);
+  }
+
+  var attemptPaths = [options.attemptsField, options.lastLoginField, throttleState && options.throttleStateField,
+    options.lockedField, options.lockedUntilField, options.unlockTokenField].filter(Boolean);
+  var attemptSelection = attemptPaths.join(' ');
+
+  // Copies the attempt fields read by an atomic update into the user without
+  // marking them modified, so a later save of the user does not write them back
+  function syncAttemptFields(user, stored) {
+    attemptPaths.forEach(function (path) {
+      user.setValue(path, stored.get(path));
+    });
+  }
+
+  // Loads fields a method needs that the query of the user left out, like
+  // private fields, which selectFields never selects
+  function loadFields(user, fields, cb) {
+    var missing = fields.filter(function (field) {
+      return !user.isNew && !user.isSelected(field);
+    });
+
+    if (!missing.length) {
+      return cb();
+    }
+
+    user.constructor.findById(user._id, missing.join(' '), function (err, stored) {
+      if (err) {
+        return cb(err);
+      }
+
+      if (stored) {
+        missing.forEach(function (field) {
+          user.setValue(field, stored.get(field));
+        });
+      }
+
+      cb();
+    });
+  }
+
+  function updateAttemptFields(user, conditions, update, updateOptions, cb) {
+    conditions._id = user._id;
+    updateOptions.fields = attemptSelection;
+
+    user.constructor.findOneAndUpdate(conditions, update, updateOptions, cb);
+  }
+
+  // Stamps the time of a login attempt and yields the milliseconds until the
+  // attempt is allowed, 0 if it is. The decision is made on the values the
+  // update replaced, so concurrent attempts cannot slip through on the same
+  // values.
+  function claimAttempt(user, cb) {
+    if (!options.limitAttempts) {
+      return cb(null, 0);
+    }
+
+    var now = Date.now();
+    var update = {};
+    update[options.lastLoginField] = new Date(now);
+
+    // the user has not been saved yet
+    var unsaved = function () {
+      cb(null, throttlePolicy.wait(loginRecord(user), now));
+    };
+
+    if (!throttleState) {
+      return updateAttemptFields(user, {}, {
+        $set: update
+      }, {
+        new: false
+      }, function (err, previous) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!previous) {
+          return unsaved();
+        }
+
+        syncAttemptFields(user, previous);
+        user.setValue(options.lastLoginField, new Date(now));
+
+        if (!throttlePolicy.wait(loginRecord(previous), now)) {
+          return cb(null, 0);
+        }
+
+        // a throttled attempt counts as last attempt as well
+        cb(null, throttlePolicy.wait(loginRecord(user), now));
+      });
+    }
+
+    user.constructor.findById(user._id, attemptSelection, function (err, stored) {
+      if (err) {
+        return cb(err);
+      }
+
+      if (!stored) {
+        return unsaved();
+      }
+
+      syncAttemptFields(user, stored);
+
+      var record = loginRecord(stored);
+      var wait = throttlePolicy.wait(record, now);
+
+      if (wait) {
+        return cb(null, wait);
+      }
+
+      // the state is only replaced if it is still the one read, a concurrent
+      // attempt that replaced it first makes this one start over
+      var conditions = {};
+      conditions[options.throttleStateField] = record.state === undefined ? null : record.state;
+      update[options.throttleStateField] = throttlePolicy.update(record.state, now);
+
+      updateAttemptFields(user, conditions, {
+        $set: update
+      }, {}, function (err, updated) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!updated) {
+          return claimAttempt(user, cb);
+        }
+
+        syncAttemptFields(user, updated);
+        cb(null, 0);
+      });
+    });
+  }
+
+  // Yields the locked info if the account is locked. The lock fields are
+  // loaded first, as selectFields may leave them out.
+  function checkLock(user, cb) {
+    if (!options.lockAfter) {
+      return cb();
+    }
+
+    loadFields(user, [options.lockedField, options.lockedUntilField], function (err) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, isLocked(user) ? lockedInfo(user) : undefined);
+    });
+  }
+
+  // Runs `attempt` unless the account is locked or the attempt is throttled
+  function guardAttempt(user, cb, attempt) {
+    checkLock(user, function (err, locked) {
+      if (err) {
+        return cb(err);
+      }
+
+      if (locked) {
+        return cb(null, false, locked);
+      }
+
+      claimAttempt(user, function (err, wait) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (wait > 0) {
+          return cb(null, false, {
+            result: 'attemptTooSoon',
+            message: options.attemptTooSoonError,
+            retryAfter: Math.ceil(wait)
+          });
+        }
+
+        attempt();
+      });
+    });
+  }
+
+  // Locks the account and emails the unlock token. Yields the locked info,
+  // with the `mailError` of the email if it could not be sent.
+  function lockAccount(user, cb) {
+    tokens.generate(32, function (err, token) {
+      if (err) {
+        return cb(err);
+      }
+
+      var update = {};
+      update[options.lockedField] = true;
+      update[options.lockedUntilField] = options.lockTime ? new Date(Date.now() + options.lockTime) : null;
+      update[options.unlockTokenField] = tokens.hash(token);
+
+      var conditions = {};
+      conditions[options.lockedField] = {
+        $ne: true
+      };
+
+      updateAttemptFields(user, conditions, {
+        $set: update
+      }, {}, function (err, stored) {
+        if (err) {
+          return cb(err);
+        }
+
+        // a concurrent attempt locked the account and sent the email
+        if (!stored) {
+          return user.constructor.findById(user._id, attemptSelection, function (err, stored) {
+            if (err) {
+              return cb(err);
+            }
+
+            // the user has been removed
+            if (!stored) {
+              return cb();
+            }
+
+            syncAttemptFields(user, stored);
+            cb(null, lockedInfo(user));
+          });
+        }
+
+        syncAttemptFields(user, stored);
+        emit('locked', {
+          user: user,
+          lockedUntil: user.get(options.lockedUntilField) || null
+        });
+        // the lock is stored already, so a failed email does not fail the login
+        sendMail('lockout', user, {
+          token: token
+        }, function (mailError) {
+          var info = lockedInfo(user);
+
+          if (mailError) {
+            info.mailError = mailError;
+          }
+
+          cb(null, info);
+        });
+      });
+    });
+  }
+
+  // Failures before a lock ran out do not count towards the next one
+  function clearExpiredLock(user, cb) {
+    if (!options.lockAfter || !user.get(options.lockedField) || isLocked(user)) {
+      return cb();
+    }
+
+    var conditions = {};
+    conditions[options.lockedField] = true;
+    conditions[options.lockedUntilField] = {
+      $lte: new Date()
+    };
+
+    var set = {};
+    set[options.lockedField] = false;
+    set[options.attemptsField] = 0;
+
+    var unset = {};
+    unset[options.lockedUntilField] = 1;
+    unset[options.unlockTokenField] = 1;
+
+    updateAttemptFields(user, conditions, {
+      $set: set,
+      $unset: unset
+    }, {}, function (err) {
+      cb(err);
+    });
+  }
+
+  // Records the outcome of a login attempt for limitAttempts and lockAfter with
+  // atomic updates. Yields the locked info if the account is locked after a
+  // failure, deciding on the failure count the update yielded.
+  function recordAttempt(user, succeeded, cb) {
+    if (!options.limitAttempts && !options.lockAfter) {
+      return cb();
+    }
+
+    var update = {
+      $set: {}
+    };
+
+    if (options.limitAttempts) {
+      update.$set[options.lastLoginField] = new Date();
+    }
+
+    if (succeeded) {
+      update.$set[options.attemptsField] = 0;
+    } else {
+      update.$inc = {};
+      update.$inc[options.attemptsField] = 1;
+    }
+
+    clearExpiredLock(user, function (err) {
+      if (err) {
+        return cb(err);
+      }
+
+      updateAttemptFields(user, {}, update, {}, function (err, stored) {
+        if (err) {
+          return cb(err);
+        }
+
+        // the user has not been saved yet or has been removed
+        if (!stored) {
+          return cb();
+        }
+
+        syncAttemptFields(user, stored);
+
+        if (succeeded || !options.lockAfter) {
+          return cb();
+        }
+
+        if (isLocked(stored)) {
+          return cb(null, lockedInfo(stored));
+        }
+
+        if (stored.get(options.attemptsField) < options.lockAfter) {
+          return cb();
+        }
+
+        lockAccount(user, cb);
+      });
+    });
+  }
+
+  // Sessions serialized with an older session version are stale, and sessions
+  // cannot be restored by remember me tokens anymore
+  function bumpSessionVersion(user) {
+    user.set(options.sessionVersionField, (user.get(options.sessionVersionField) || 0) + 1);
+
+    if (options.rememberMe) {
+      user.set(options.rememberMeField, []);
+    }
+  }
+
+  // Drops a series of remember me tokens. With `endSessions` the sessions of
+  // the user are made stale as well.
+  function revokeRememberMeSeries(model, conditions, series, endSessions, cb) {
+    var pull = {};
+    pull[options.rememberMeField] = {
+      series: series
+    };
+
+    var update = {
+      $pull: pull
+    };
+
+    if (endSessions) {
+      update.$inc = {};
+      update.$inc[options.sessionVersionField] = 1;
+    }
+
+    model.findOneAndUpdate(conditions, update, function (err) {
+      cb(err);
+    });
+  }
+
+  // Remember me cookies hold the series and the token as `series.token`
+  function parseRememberMeToken(value) {
+    var parts = String(value).split('.');
+
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      return null;
+    }
+
+    return {
+      series: parts[0],
+      hash: tokens.hash(parts[1])
+    };
+  }
+
+  function loadPasswordHistory(user, cb) {
+    if (user.isNew || user.isSelected(options.passwordHistoryField)) {
+      return cb(null, user.get(options.passwordHistoryField) || []);
+    }
+
+    user.constructor.findById(user._id).select('+' + options.passwordHistoryField).exec(function (err, stored) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, stored && stored.get(options.passwordHistoryField) || []);
+    });
+  }
+
+  // Yields the current and the remembered previous password hashes of a user
+  function recentPasswords(user, cb) {
+    var current = user.get(options.hashField) ? [{
+      hash: user.get(options.hashField),
+      salt: user.get(options.saltField),
+      hashParams: user.get(options.hashParamsField)
+    }] : [];
+
+    loadPasswordHistory(user, function (err, history) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, current, history.map(function (entry) {
+        return {
+          hash: entry.hash,
+          salt: entry.salt,
+          hashParams: entry.hashParams
+        };
+      }));
+    });
+  }
+
+  function isPasswordReused(password, passwords, cb) {
+    if (!passwords.length) {
+      return cb(null, false);
+    }
+
+    verifyPassword(password, passwords[0], function (err, matches) {
+      if (err || matches) {
+        return cb(err, matches);
+      }
+
+      isPasswordReused(password, passwords.slice(1), cb);
+    });
+  }
+
+  // Sets a new password hash unless the password is one of the recent ones,
+  // and remembers the replaced hash
+  function setHashWithHistory(user, password, cb) {
+    recentPasswords(user, function (err, current, history) {
+      if (err) {
+        return cb(err);
+      }
+
+      isPasswordReused(password, current.concat(history), function (err, reused) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (reused) {
+          return cb(new BadRequestError('passwordReused', options.passwordReusedError));
+        }
+
+        setHash(user, password, function (err) {
+          if (err) {
+            return cb(err);
+          }
+
+          user.set(options.passwordHistoryField, current.concat(history).slice(0, options.passwordHistory));
+          cb(null, user);
+        });
+      });
+    });
+  }
+
+  function isHashOutdated(user) {
+    var stored = storedHashParams(user);
+    var current = currentHashParams();
+
+    if (Buffer.from(user.get(options.saltField), options.encoding).length !== options.saltlen) {
+      return true;
+    }
+
+    return Object.keys(stored).concat(Object.keys(current)).some(function (key) {
+      return JSON.stringify(stored[key]) !== JSON.stringify(current[key]);
+    });
+  }
+
+  // Hashes peppered with a retired key are always upgraded, other changes of
+  // the hashing options only if rehashOnLogin is set
+  function needsRehash(user) {
+    if (options.pepper && storedHashParams(user).pepper !== options.pepper.current) {
+      return true;
+    }
+
+    return options.rehashOnLogin && isHashOutdated(user);
+  }
+
+  // Replaces the hash of a user who just authenticated with the password by
+  // one made with the current hashing options. The login does not fail with
+  // the upgrade: its errors, and those of `onRehash`, are emitted as 'error'
+  // on the account events with the event name 'rehash'.
+  function rehash(user, password, cb) {
+    var previous = storedHashParams(user);
+
+    var report = function (err) {
+      events.emit(emitter, 'error', err, 'rehash', {
+        user: user
+      });
+    };
+
+    setHash(user, password, function (err) {
+      if (err) {
+        report(err);
+        return cb(null, user);
+      }
+
+      user.save(function (err) {
+        if (err) {
+          report(err);
+          return cb(null, user);
+        }
+
+        if (options.onRehash) {
+          try {
+            var result = options.onRehash(user, previous, user.get(options.hashParamsField));
+
+            if (result && typeof result.then === 'function') {
+              result.then(null, report);
+            }
+          } catch (err) {
+            report(err);
+          }
+        }
+
+        cb(null, user);
+      });
+    });
+  }
+
+  // Sets the hash of a password that passed the policy
+  function applyPassword(user, password, cb) {
+    var setPasswordHash = options.passwordHistory ? setHashWithHistory : setHash;
+
+    setPasswordHash(user, password, function (err) {
+      if (err) {
+        return cb(err);
+      }
+
+      if (options.expirePasswords) {
+        user.set(options.passwordChangedField, Date.now());
+        user.set(options.mustChangePasswordField, false);
+      }
+
+      // a new password invalidates pending reset tokens
+      if (options.passwordReset) {
+        user.set(options.resetTokenField, undefined);
+        user.set(options.resetExpiresField, undefined);
+        user.set(options.resetUsedField, undefined);
+      }
+
+      // and the sessions of whoever knew the old one, new users have none
+      if (!user.isNew) {
+        bumpSessionVersion(user);
+      }
+
+      cb(null, user);
+    });
+  }
+
+  // Marks the email of a user unverified and sets a new verification token
+  function setVerifyToken(user, cb) {
+    tokens.generate(32, function (err, token) {
+      if (err) {
+        return cb(err);
+      }
+
+      user.set(options.verifiedField, false);
+      user.set(options.verifyTokenField, tokens.hash(token));
+      user.set(options.verifyExpiresField, Date.now() + options.verifyTokenTTL);
+
+      cb(null, token);
+    });
+  }
+
+  // Yields whether another user than `user` holds the email
+  function isEmailTaken(model, email, user, cb) {
+    model.findByEmail(email, function (err, existingUser) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, !!existingUser && !existingUser._id.equals(user._id));
+    });
+  }
+
+  // Finds the user holding a token and checks that it has not expired. Yields
+  // a BadRequestError named `<errorPrefix>Invalid` or `<errorPrefix>Expired`
+  // otherwise.
+  function findByToken(model, token, tokenField, expiresField, errorPrefix, cb) {
+    var queryParameters = {};
+    queryParameters[tokenField] = tokens.hash(token);
+
+    model.findOne(queryParameters, function (err, user) {
+      if (err) {
+        return cb(err);
+      }
+
+      if (!token || !user) {
+        return cb(new BadRequestError(errorPrefix + 'Invalid', options[errorPrefix + 'InvalidError']));
+      }
+
+      if (user.get(expiresField) < Date.now()) {
+        return cb(new BadRequestError(errorPrefix + 'Expired', options[errorPrefix + 'ExpiredError']));
+      }
+
+      cb(null, user);
+    });
+  }
+
+  // Users whose password was never stamped by setPassword don't expire
+  function passwordExpiryInfo(user) {
+    if (!options.expirePasswords) {
+      return undefined;
+    }
+
+    if (user.get(options.mustChangePasswordField)) {
+      return {
+        result: 'passwordChangeRequired',
+        message: options.passwordChangeRequiredError
+      };
+    }
+
+    var changed = user.get(options.passwordChangedField);
+    if (changed && Date.now() - changed.getTime() > options.passwordMaxAge) {
+      return {
+        result: 'passwordExpired',
+        message: options.passwordExpiredError
+      };
+    }
+  }
+
+  schema.pre('save', function (next) {
+    // if specified, convert the username to lowercase
+    if (options.usernameLowerCase) {
+      this[options.usernameField] = this[options.usernameField].toLowerCase();
+    }
+    if (this[options.emailField]) {
+      this[options.emailField] = this[options.emailField].toLowerCase();
+    }
+
+    next();
+  });
+
+  schema.methods.setPassword = function (password, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!password) {
+        return cb(new BadRequestError('missingPassword', options.missingPasswordError));
+      }
+
+      if (!options.passwordPolicy) {
+        return applyPassword(self, password, cb);
+      }
+
+      checkPasswordPolicy(options, password, self, function (err, failures) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (failures.length) {
+          var policyError = new BadRequestError('passwordPolicy', options.passwordPolicyError);
+          policyError.failures = failures;
+          return cb(policyError);
+        }
+
+        applyPassword(self, password, cb);
+      });
+    });
+  };
+
+  schema.methods.authenticate = function (password, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      guardAttempt(self, cb, function () {
+        if (!self.get(options.saltField)) {
+          return dummyHash(password, function () {
+            cb(null, false, {
+              message: options.noSaltValueStoredError
+            });
+          });
+        }
+
+        verifyPassword(password, {
+          hash: self.get(options.hashField),
+          salt: self.get(options.saltField),
+          hashParams: self.get(options.hashParamsField)
+        }, function (err, matches) {
+          if (err) {
+            return cb(err);
+          }
+
+          if (matches) {
+            var succeed = function (err) {
+              if (err) {
+                return cb(err);
+              }
+
+              loadFields(self, loginFields, function (err) {
+                if (err) {
+                  return cb(err);
+                }
+
+                if (options.requireVerifiedEmail && !self.get(options.verifiedField)) {
+                  return cb(null, false, {
+                    result: 'emailNotVerified',
+                    message: options.emailNotVerifiedError
+                  });
+                }
+
+                cb(null, self, passwordExpiryInfo(self));
+              });
+            };
+
+            return recordAttempt(self, true, function (err) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (needsRehash(self)) {
+                return rehash(self, password, succeed);
+              }
+
+              succeed();
+            });
+          }
+
+          recordAttempt(self, false, function (err, locked) {
+            if (err) {
+              return cb(err);
+            }
+
+            cb(null, false, locked || {
+              result: 'incorrectPassword',
+              message: options.incorrectPasswordError
+            });
+          });
+        });
+      });
+    }, toAuthResult);
+  };
+
+  schema.methods.changePassword = function (oldPassword, newPassword, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!oldPassword || !newPassword) {
+        return cb(new BadRequestError('missingPassword', options.missingPasswordError));
+      }
+
+      self.authenticate(oldPassword, function (err, user, info) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!user) {
+          if (info.result === 'incorrectPassword') {
+            return cb(new BadRequestError('incorrectOldPassword', options.incorrectOldPasswordError));
+          }
+
+          return cb(new BadRequestError(info.result || 'authorizationError', info.message));
+        }
+
+        self.setPassword(newPassword, function (err) {
+          if (err) {
+            return cb(err);
+          }
+
+          self.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            emit('passwordChanged', {
+              user: self,
+              reason: 'change'
+            });
+            cb(null, self);
+          });
+        });
+      });
+    });
+  };
+
+  // Logs the user out everywhere by making all sessions stale
+  schema.methods.invalidateSessions = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      var update = {
+        $inc: {}
+      };
+      update.$inc[options.sessionVersionField] = 1;
+
+      if (options.rememberMe) {
+        update.$set = {};
+        update.$set[options.rememberMeField] = [];
+      }
+
+      self.constructor.findOneAndUpdate({
+        _id: self._id
+      }, update, {
+        fields: options.sessionVersionField
+      }, function (err, stored) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (stored) {
+          self.setValue(options.sessionVersionField, stored.get(options.sessionVersionField));
+
+          if (options.rememberMe) {
+            self.setValue(options.rememberMeField, []);
+          }
+        }
+
+        cb(null, self);
+      });
+    });
+  };
+
+  // Starts a new series of remember me tokens and yields its first token
+  schema.methods.createRememberMeToken = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.rememberMe) {
+        return cb(new Error('createRememberMeToken needs the rememberMe option'));
+      }
+
+      tokens.generate(16, function (err, series) {
+        if (err) {
+          return cb(err);
+        }
+
+        tokens.generate(32, function (err, token) {
+          if (err) {
+            return cb(err);
+          }
+
+          var expired = {};
+          expired[options.rememberMeField] = {
+            expires: {
+              $lt: new Date()
+            }
+          };
+
+          var entry = {};
+          entry[options.rememberMeField] = {
+            series: series,
+            hash: tokens.hash(token),
+            expires: new Date(Date.now() + options.rememberMeTTL)
+          };
+
+          // MongoDB cannot pull from and push to the same array in one update
+          self.constructor.findOneAndUpdate({
+            _id: self._id
+          }, {
+            $pull: expired
+          }, function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            self.constructor.findOneAndUpdate({
+              _id: self._id
+            }, {
+              $push: entry
+            }, function (err, updated) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (!updated) {
+                return cb(new Error('createRememberMeToken needs a saved user'));
+              }
+
+              cb(null, series + '.' + token);
+            });
+          });
+        });
+      });
+    });
+  };
+
+  schema.methods.requestEmailChange = function (email, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.emailChange) {
+        return cb(new Error('requestEmailChange needs the emailChange option'));
+      }
+
+      if (!email) {
+        return cb(new BadRequestError('missingEmail', options.missingEmailError));
+      }
+
+      email = email.toLowerCase();
+
+      if (email === self.get(options.emailField)) {
+        return cb(new BadRequestError('emailUnchanged', options.emailUnchangedError));
+      }
+
+      isEmailTaken(self.constructor, email, self, function (err, taken) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (taken) {
+          return cb(new BadRequestError('emailExists', util.format(options.userExistsError, options.emailField, email)));
+        }
+
+        tokens.generate(32, function (err, confirmToken) {
+          if (err) {
+            return cb(err);
+          }
+
+          self.set(options.pendingEmailField, email);
+          self.set(options.emailChangeTokenField, tokens.hash(confirmToken));
+          self.set(options.emailChangeExpiresField, Date.now() + options.emailChangeTokenTTL);
+
+          // While a revert token is valid, further changes must not replace the
+          // address it restores. Otherwise whoever took over the account could
+          // lock the owner out by changing the email twice.
+          if (self.get(options.emailRevertExpiresField) > Date.now()) {
+            return self.save(function (err) {
+              if (err) {
+                return cb(err);
+              }
+
+              sendMail('emailChange', self, {
+                email: email,
+                token: confirmToken
+              }, function (mailError) {
+                cb(null, confirmToken, undefined, mailError);
+              });
+            });
+          }
+
+          tokens.generate(32, function (err, revertToken) {
+            if (err) {
+              return cb(err);
+            }
+
+            self.set(options.previousEmailField, self.get(options.emailField));
+            self.set(options.emailRevertTokenField, tokens.hash(revertToken));
+            self.set(options.emailRevertExpiresField, Date.now() + options.emailRevertTokenTTL);
+            self.save(function (err) {
+              if (err) {
+                return cb(err);
+              }
+
+              // the current address is told even if the new one cannot be
+              // reached, it is the only way back if the change was not wanted
+              sendMail('emailChange', self, {
+                email: email,
+                token: confirmToken
+              }, function (confirmMailError) {
+                sendMail('emailChangeRevert', self, {
+                  pendingEmail: email,
+                  token: revertToken
+                }, function (revertMailError) {
+                  cb(null, confirmToken, revertToken, confirmMailError || revertMailError);
+                });
+              });
+            });
+          });
+        });
+      });
+    }, toEmailChangeResult);
+  };
+
+  // Lifts a lock, for example by an admin
+  schema.methods.unlock = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.lockAfter) {
+        return cb(new Error('unlock needs the lockAfter option'));
+      }
+
+      clearLock(self);
+      self.save(function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        cb(null, self);
+      });
+    });
+  };
+
+  // The latest failed logins of the user from the audit log, newest first
+  schema.methods.recentLoginFailures = function (queryOptions, cb) {
+    if (!options.auditLog) {
+      throw new Error('recentLoginFailures needs the auditLog option');
+    }
+
+    return auditModel(this.constructor).recentFailures(this, queryOptions, cb);
+  };
+
+  schema.methods.requirePasswordChange = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.expirePasswords) {
+        return cb(new Error('requirePasswordChange needs the expirePasswords option'));
+      }
+
+      self.set(options.mustChangePasswordField, true);
+      self.save(function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        cb(null, self);
+      });
+    });
+  };
+
+  // Creates a new TOTP secret. Two-factor authentication is enabled once the
+  // user confirmed it with a code from the authenticator app.
+  schema.methods.setupTwoFactor = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.twoFactor) {
+        return cb(new Error('setupTwoFactor needs the twoFactor option'));
+      }
+
+      loadFields(self, twoFactorFields, function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (self.get(options.twoFactorEnabledField)) {
+          return cb(new BadRequestError('twoFactorAlreadyEnabled', options.twoFactorAlreadyEnabledError));
+        }
+
+        totp.generateSecret(function (err, secret) {
+          if (err) {
+            return cb(err);
+          }
+
+          self.set(options.twoFactorSecretField, secret);
+          self.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            cb(null, secret, totp.uri(secret, {
+              account: self.get(options.emailField) || self.get(options.usernameField),
+              issuer: options.twoFactorIssuer,
+              digits: options.twoFactorDigits,
+              period: options.twoFactorPeriod
+            }));
+          });
+        });
+      });
+    }, toTwoFactorSetupResult);
+  };
+
+  schema.methods.confirmTwoFactor = function (code, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.twoFactor) {
+        return cb(new Error('confirmTwoFactor needs the twoFactor option'));
+      }
+
+      loadFields(self, twoFactorFields, function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        var secret = self.get(options.twoFactorSecretField);
+
+        if (!secret) {
+          return cb(new BadRequestError('twoFactorNotSetUp', options.twoFactorNotSetUpError));
+        }
+
+        if (self.get(options.twoFactorEnabledField)) {
+          return cb(new BadRequestError('twoFactorAlreadyEnabled', options.twoFactorAlreadyEnabledError));
+        }
+
+        var step = verifyTotp(secret, code);
+
+        if (step === -1) {
+          return cb(new BadRequestError('twoFactorCodeInvalid', options.twoFactorCodeInvalidError));
+        }
+
+        self.set(options.twoFactorEnabledField, true);
+        self.set(options.twoFactorLastStepField, step);
+        self.save(function (err) {
+          if (err) {
+            return cb(err);
+          }
+
+          cb(null, self);
+        });
+      });
+    });
+  };
+
+  // Checks a code of the authenticator app. Each code is accepted once.
+  schema.methods.verifyTwoFactor = function (code, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.twoFactor) {
+        return cb(new Error('verifyTwoFactor needs the twoFactor option'));
+      }
+
+      cb = reportLogin('twoFactor', {
+        user: self
+      }, cb);
+
+      var fail = function (result) {
+        cb(null, false, {
+          result: result,
+          message: options[result + 'Error']
+        });
+      };
+
+      loadFields(self, twoFactorFields, function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!self.get(options.twoFactorEnabledField)) {
+          return fail('twoFactorNotEnabled');
+        }
+
+        guardAttempt(self, cb, function () {
+          var step = verifyTotp(self.get(options.twoFactorSecretField), code);
+
+          var finish = function (succeeded) {
+            recordAttempt(self, succeeded, function (err, locked) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (locked) {
+                return cb(null, false, locked);
+              }
+
+              return succeeded ? cb(null, self) : fail('twoFactorCodeInvalid');
+            });
+          };
+
+          if (step === -1) {
+            return finish(false);
+          }
+
+          // a code seen before, or an older one, could have been observed by someone else
+          var conditions = {
+            _id: self._id
+          };
+          conditions[options.twoFactorLastStepField] = {
+            $lt: step
+          };
+
+          var update = {};
+          update[options.twoFactorLastStepField] = step;
+
+          self.constructor.findOneAndUpdate(conditions, {
+            $set: update
+          }, function (err, updated) {
+            if (err) {
+              return cb(err);
+            }
+
+            if (updated) {
+              self.set(options.twoFactorLastStepField, step);
+            }
+
+            finish(!!updated);
+          });
+        });
+      });
+    });
+  };
+
+  schema.methods.disableTwoFactor = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.twoFactor) {
+        return cb(new Error('disableTwoFactor needs the twoFactor option'));
+      }
+
+      self.set(options.twoFactorSecretField, undefined);
+      self.set(options.twoFactorEnabledField, false);
+      self.set(options.twoFactorLastStepField, undefined);
+
+      if (options.recoveryCodes) {
+        self.set(options.recoveryCodesField, undefined);
+      }
+      self.save(function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        cb(null, self);
+      });
+    });
+  };
+
+  // Creates a new set of single use recovery codes, replacing the previous
+  // set. Only their hashes are saved, so the codes can be shown only once.
+  schema.methods.generateRecoveryCodes = function (cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.recoveryCodes) {
+        return cb(new Error('generateRecoveryCodes needs the recoveryCodes option'));
+      }
+
+      crypto.randomBytes(options.saltlen, function (err, buf) {
+        if (err) {
+          return cb(err);
+        }
+
+        var salt = buf.toString(options.encoding);
+        var params = currentHashParams();
+        var codes = [];
+        var hashed = [];
+
+        var next = function () {
+          if (codes.length === options.recoveryCodeCount) {
+            self.set(options.recoveryCodesField, {
+              salt: salt,
+              hashParams: params,
+              codes: hashed
+            });
+
+            return self.save(function (err) {
+              if (err) {
+                return cb(err);
+              }
+
+              cb(null, codes);
+            });
+          }
+
+          tokens.generate(5, function (err, code) {
+            if (err) {
+              return cb(err);
+            }
+
+            // all codes share a salt, so checking a code takes a single hash
+            hashPassword(code, salt, params, function (err, hash) {
+              if (err) {
+                return cb(err);
+              }
+
+              codes.push(code.slice(0, 5) + '-' + code.slice(5));
+              hashed.push({
+                hash: hash,
+                used: null
+              });
+              next();
+            });
+          });
+        };
+
+        next();
+      });
+    });
+  };
+
+  // Checks a recovery code as alternative to a two-factor code and marks it used
+  schema.methods.verifyRecoveryCode = function (code, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.recoveryCodes) {
+        return cb(new Error('verifyRecoveryCode needs the recoveryCodes option'));
+      }
+
+      cb = reportLogin('recoveryCode', {
+        user: self
+      }, cb);
+
+      loadFields(self, [options.recoveryCodesField], function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        guardAttempt(self, cb, function () {
+          var finish = function (succeeded) {
+            recordAttempt(self, succeeded, function (err, locked) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (succeeded) {
+                return cb(null, self);
+              }
+
+              cb(null, false, locked || {
+                result: 'recoveryCodeInvalid',
+                message: options.recoveryCodeInvalidError
+              });
+            });
+          };
+
+          var recovery = self.get(options.recoveryCodesField);
+
+          if (!recovery || !recovery.codes) {
+            return dummyHash(String(code), function () {
+              finish(false);
+            });
+          }
+
+          hashPassword(normalizeRecoveryCode(code), recovery.salt, recovery.hashParams, function (err, hash) {
+            if (err) {
+              return cb(err);
+            }
+
+            var match = recovery.codes.filter(function (stored) {
+              return !stored.used && hashesEqual(hash, stored.hash);
+            })[0];
+
+            if (!match) {
+              return finish(false);
+            }
+
+            // mark the code used only if no concurrent request did so already
+            var conditions = {
+              _id: self._id
+            };
+            conditions[options.recoveryCodesField + '.codes'] = {
+              $elemMatch: {
+                hash: match.hash,
+                used: null
+              }
+            };
+
+            var update = {};
+            update[options.recoveryCodesField + '.codes.$.used'] = new Date();
+
+            self.constructor.findOneAndUpdate(conditions, {
+              $set: update
+            }, function (err, updated) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (updated) {
+                self.set(options.recoveryCodesField, updated.get(options.recoveryCodesField));
+              }
+
+              finish(!!updated);
+            });
+          });
+        });
+      });
+    });
+  };
+
+  // Returns how many recovery codes the user has, used and remaining. With a
+  // callback the codes are loaded first if the query of the user left them out.
+  schema.methods.recoveryCodeCounts = function (cb) {
+    var self = this;
+
+    var counts = function () {
+      var recovery = self.get(options.recoveryCodesField);
+      var codes = (recovery && recovery.codes) || [];
+      var used = codes.filter(function (code) {
+        return !!code.used;
+      }).length;
+
+      return {
+        total: codes.length,
+        used: used,
+        remaining: codes.length - used
+      };
+    };
+
+    if (!cb) {
+      return counts();
+    }
+
+    loadFields(self, [options.recoveryCodesField], function (err) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, counts());
+    });
+  };
+
+  schema.statics.authenticate = function () {
+    var self = this;
+
+    // With passport's passReqToCallback the request comes first, it is used
+    // for the audit log
+    return function (req, usernameOrEmail, password, cb) {
+      if (typeof req !== 'object' || req === null) {
+        cb = password;
+        password = usernameOrEmail;
+        usernameOrEmail = req;
+        req = undefined;
+      }
+
+      return withCallback(cb, function (cb) {
+        self.findByUsernameOrEmail(usernameOrEmail, function (err, user) {
+          if (err) {
+            return cb(err);
+          }
+
+          var finish = function (authenticated, info) {
+            audit(self, user, usernameOrEmail, req, authenticated, info, function () {
+              emitLogin('password', authenticated, info, {
+                user: user || undefined,
+                identifier: usernameOrEmail,
+                req: req
+              });
+              cb(null, authenticated, info);
+            });
+          };
+
+          if (user) {
+            return user.authenticate(password, function (err, authenticated, info) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (!authenticated) {
+                return finish(authenticated, info);
+              }
+
+              requireSecondFactor(authenticated, function (err, loggedIn, secondFactorInfo) {
+                if (err) {
+                  return cb(err);
+                }
+
+                finish(loggedIn, loggedIn ? info : secondFactorInfo);
+              });
+            });
+          }
+
+          dummyHash(password, function () {
+            finish(false, {
+              result: 'incorrectUsername',
+              message: util.format(options.incorrectUsernameError, options.usernameField)
+            });
+          });
+        });
+      }, toAuthResult);
+    };
+  };
+
+  // Sessions hold the serializeField and the session version of the user
+  schema.statics.serializeUser = function () {
+    return function (user, cb) {
+      cb(null, {
+        id: String(user.get(options.serializeField)),
+        version: user.get(options.sessionVersionField) || 0
+      });
+    };
+  };
+
+  // Yields false for sessions of removed users, stale sessions and sessions
+  // serialized in another format, so that passport drops them
+  schema.statics.deserializeUser = function () {
+    var self = this;
+
+    return function (serialized, cb) {
+      if (!serialized || typeof serialized !== 'object') {
+        return cb(null, false);
+      }
+
+      var queryParameters = {};
+      queryParameters[options.serializeField] = serialized.id;
+
+      var query = self.findOne(queryParameters);
+      if (options.selectFields) {
+        query.select(publicSelection(options.selectFields));
+      }
+
+      if (options.populateFields) {
+        query.populate(options.populateFields);
+      }
+
+      query.exec(function (err, user) {
+        // an id that is no valid ObjectId cannot belong to a user
+        if (err && err.name === 'CastError') {
+          return cb(null, false);
+        }
+
+        if (err) {
+          return cb(err);
+        }
+
+        if (!user || (user.get(options.sessionVersionField) || 0) !== serialized.version) {
+          return cb(null, false);
+        }
+
+        cb(null, user);
+      });
+    };
+  };
+
+  schema.statics.register = function (user, password, cb) {
+    // Create an instance of this in case user isn't already an instance
+    if (!(user instanceof this)) {
+      user = new this(user);
+    }
+
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!user.get(options.usernameField)) {
+        return cb(new BadRequestError('missingUsername', util.format(options.missingUsernameError, options.usernameField)));
+      }
+
+      if (!user.get(options.emailField)) {
+        return cb(new BadRequestError('missingEmail', options.missingEmailError));
+      }
+
+      self.findByUsername(user.get(options.usernameField), function (err, existingUser) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (existingUser) {
+          return cb(new BadRequestError('usernameExists', util.format(options.userExistsError, options.usernameField, user.get(options.usernameField))));
+        }
+
+        self.findByEmail(user.get(options.emailField), function (err, existingUser) {
+          if (err) {
+            return cb(err);
+          }
+
+          if (existingUser) {
+            return cb(new BadRequestError('emailExists', util.format(options.userExistsError, options.emailField, user.get(options.emailField))));
+          }
+
+          user.setPassword(password, function (err, user) {
+            if (err) {
+              return cb(err);
+            }
+
+            if (!options.emailVerification) {
+              return user.save(function (err) {
+                if (err) {
+                  return cb(err);
+                }
+
+                emit('registered', {
+                  user: user
+                });
+                cb(null, user);
+              });
+            }
+
+            setVerifyToken(user, function (err, token) {
+              if (err) {
+                return cb(err);
+              }
+
+              user.save(function (err) {
+                if (err) {
+                  return cb(err);
+                }
+
+                emit('registered', {
+                  user: user
+                });
+                sendMail('verification', user, {
+                  token: token
+                }, function (mailError) {
+                  cb(null, user, token, mailError);
+                });
+              });
+            });
+          });
+        });
+      });
+    }, toRegisterResult);
+  };
+
+  schema.statics.verifyEmail = function (token, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.emailVerification) {
+        return cb(new Error('verifyEmail needs the emailVerification option'));
+      }
+
+      findByToken(self, token, options.verifyTokenField, options.verifyExpiresField, 'verifyToken', function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        user.set(options.verifiedField, true);
+        user.set(options.verifyTokenField, undefined);
+        user.set(options.verifyExpiresField, undefined);
+        user.save(function (err) {
+          if (err) {
+            return cb(err);
+          }
+
+          cb(null, user);
+        });
+      });
+    });
+  };
+
+  schema.statics.confirmEmailChange = function (token, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.emailChange) {
+        return cb(new Error('confirmEmailChange needs the emailChange option'));
+      }
+
+      findByToken(self, token, options.emailChangeTokenField, options.emailChangeExpiresField, 'emailChangeToken', function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        var email = user.get(options.pendingEmailField);
+
+        isEmailTaken(self, email, user, function (err, taken) {
+          if (err) {
+            return cb(err);
+          }
+
+          if (taken) {
+            return cb(new BadRequestError('emailExists', util.format(options.userExistsError, options.emailField, email)));
+          }
+
+          var previousEmail = user.get(options.emailField);
+
+          user.set(options.emailField, email);
+          user.set(options.pendingEmailField, undefined);
+          user.set(options.emailChangeTokenField, undefined);
+          user.set(options.emailChangeExpiresField, undefined);
+
+          // confirming proved that the user owns the address
+          if (options.emailVerification) {
+            user.set(options.verifiedField, true);
+          }
+
+          user.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            emit('emailChanged', {
+              user: user,
+              email: email,
+              previousEmail: previousEmail,
+              reverted: false
+            });
+            cb(null, user);
+          });
+        });
+      });
+    });
+  };
+
+  schema.statics.revertEmailChange = function (token, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.emailChange) {
+        return cb(new Error('revertEmailChange needs the emailChange option'));
+      }
+
+      findByToken(self, token, options.emailRevertTokenField, options.emailRevertExpiresField, 'emailRevertToken', function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        var email = user.get(options.previousEmailField);
+        var previousEmail = user.get(options.emailField);
+
+        isEmailTaken(self, email, user, function (err, taken) {
+          if (err) {
+            return cb(err);
+          }
+
+          if (taken) {
+            return cb(new BadRequestError('emailExists', util.format(options.userExistsError, options.emailField, email)));
+          }
+
+          [
+            options.pendingEmailField,
+            options.emailChangeTokenField,
+            options.emailChangeExpiresField,
+            options.previousEmailField,
+            options.emailRevertTokenField,
+            options.emailRevertExpiresField
+          ].forEach(function (field) {
+            user.set(field, undefined);
+          });
+          user.set(options.emailField, email);
+
+          // whoever changed the email may know the password
+          if (options.expirePasswords) {
+            user.set(options.mustChangePasswordField, true);
+          }
+
+          // and may still be logged in
+          bumpSessionVersion(user);
+
+          user.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            emit('emailChanged', {
+              user: user,
+              email: email,
+              previousEmail: previousEmail,
+              reverted: true
+            });
+            cb(null, user);
+          });
+        });
+      });
+    });
+  };
+
+  schema.statics.resendVerification = function (email, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.emailVerification) {
+        return cb(new Error('resendVerification needs the emailVerification option'));
+      }
+
+      self.findByEmail(email, function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!user) {
+          return userNotFound(options.emailField, email, cb);
+        }
+
+        if (user.get(options.verifiedField)) {
+          // the error would give away the account as well
+          if (options.hideUnknownUsers) {
+            return cb(null);
+          }
+
+          return cb(new BadRequestError('emailAlreadyVerified', options.emailAlreadyVerifiedError));
+        }
+
+        setVerifyToken(user, function (err, token) {
+          if (err) {
+            return cb(err);
+          }
+
+          user.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            sendMail('verification', user, {
+              token: token
+            }, function (mailError) {
+              cb(null, token, user, mailError);
+            });
+          });
+        });
+      });
+    }, toTokenResult);
+  };
+
+  // Finds a user by username and, failing that, by email
+  schema.statics.findByUsernameOrEmail = function (usernameOrEmail, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      self.findByUsername(usernameOrEmail, function (err, user) {
+        if (err || user) {
+          return cb(err, user);
+        }
+
+        self.findByEmail(usernameOrEmail, cb);
+      });
+    });
+  };
+
+  schema.statics.createResetToken = function (usernameOrEmail, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.passwordReset) {
+        return cb(new Error('createResetToken needs the passwordReset option'));
+      }
+
+      self.findByUsernameOrEmail(usernameOrEmail, function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!user) {
+          return userNotFound(options.usernameField, usernameOrEmail, cb);
+        }
+
+        tokens.generate(32, function (err, token) {
+          if (err) {
+            return cb(err);
+          }
+
+          user.set(options.resetTokenField, tokens.hash(token));
+          user.set(options.resetExpiresField, Date.now() + options.resetTokenTTL);
+          user.set(options.resetUsedField, undefined);
+          user.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            sendMail('passwordReset', user, {
+              token: token
+            }, function (mailError) {
+              cb(null, token, user, mailError);
+            });
+          });
+        });
+      });
+    }, toTokenResult);
+  };
+
+  schema.statics.resetPassword = function (token, password, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.passwordReset) {
+        return cb(new Error('resetPassword needs the passwordReset option'));
+      }
+
+      var tokenHash = tokens.hash(token);
+      var queryParameters = {};
+      queryParameters[options.resetTokenField] = tokenHash;
+
+      self.findOne(queryParameters, function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!token || !user) {
+          return cb(new BadRequestError('resetTokenInvalid', options.resetTokenInvalidError));
+        }
+
+        if (user.get(options.resetUsedField)) {
+          return cb(new BadRequestError('resetTokenUsed', options.resetTokenUsedError));
+        }
+
+        if (user.get(options.resetExpiresField) < Date.now()) {
+          return cb(new BadRequestError('resetTokenExpired', options.resetTokenExpiredError));
+        }
+
+        // only one of concurrent requests with the same token gets to use it
+        var claimed = new Date();
+        var conditions = {
+          _id: user._id
+        };
+        conditions[options.resetTokenField] = tokenHash;
+        conditions[options.resetUsedField] = null;
+
+        var update = {};
+        update[options.resetUsedField] = claimed;
+
+        self.findOneAndUpdate(conditions, {
+          $set: update
+        }, function (err, user) {
+          if (err) {
+            return cb(err);
+          }
+
+          if (!user) {
+            return cb(new BadRequestError('resetTokenUsed', options.resetTokenUsedError));
+          }
+
+          user.setPassword(password, function (err) {
+            if (err) {
+              // a password the policy refused does not use the token up
+              var release = {};
+              release[options.resetUsedField] = claimed;
+              release._id = user._id;
+
+              var unset = {};
+              unset[options.resetUsedField] = 1;
+
+              return self.findOneAndUpdate(release, {
+                $unset: unset
+              }, function (releaseErr) {
+                cb(releaseErr || err);
+              });
+            }
+
+            // keep the used token around to tell it apart from unknown ones
+            user.set(options.resetTokenField, tokenHash);
+            user.set(options.resetUsedField, claimed);
+            user.save(function (err) {
+              if (err) {
+                return cb(err);
+              }
+
+              emit('passwordChanged', {
+                user: user,
+                reason: 'reset'
+              });
+              cb(null, user);
+            });
+          });
+        });
+      });
+    });
+  };
+
+  // Issues a single use login link token for the user with the email. If a
+  // request with a session is passed, the link only works in that session.
+  schema.statics.createMagicLink = function (email, req, cb) {
+    var self = this;
+
+    if (typeof req === 'function') {
+      cb = req;
+      req = undefined;
+    }
+
+    return withCallback(cb, function (cb) {
+      if (!options.magicLink) {
+        return cb(new Error('createMagicLink needs the magicLink option'));
+      }
+
+      self.findByEmail(email, function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!user) {
+          return userNotFound(options.emailField, email, cb);
+        }
+
+        tokens.generate(32, function (err, nonce) {
+          if (err) {
+            return cb(err);
+          }
+
+          var token = tokens.sign([user._id, nonce, Date.now() + options.magicLinkTTL], options.magicLinkSecret);
+
+          user.set(options.magicLinkTokenField, tokens.hash(nonce));
+          user.set(options.magicLinkUsedField, undefined);
+          user.set(options.magicLinkBindingField, req && req.sessionID ? tokens.hash(req.sessionID) : undefined);
+          user.save(function (err) {
+            if (err) {
+              return cb(err);
+            }
 
-  var schemaFields = {};
+            sendMail('magicLink', user, {
+              token: token
+            }, function (mailError) {
+              cb(null, token, user, mailError);
+            });
+          });
+        });
+      });
+    }, toTokenResult);
+  };
 
-  if (!schema.path(options.usernameField)) {
-    schemaFields[options.usernameField] = {
-      type: String,
-      unique: options.usernameUnique
-    };
-  }
-  if (!schema.path(options.emailField)) {
-    schemaFields[options.emailField] = {
-      type: String,
-      unique: true
-    };
-  }
-  schemaFields[options.hashField] = String;
-  schemaFields[options.saltField] = String;
+  schema.statics.verifyMagicLink = function (token, req, cb) {
+    var self = this;
 
-  if (options.limitAttempts) {
-    schemaFields[options.attemptsField] = {
-      type: Number,
-      default: 0
-    };
-    schemaFields[options.lastLoginField] = {
-      type: Date,
-      default: Date.now
-    };
-  }
+    if (typeof req === 'function') {
+      cb = req;
+      req = undefined;
+    }
 
-  schema.add(schemaFields);
+    return withCallback(cb, function (cb) {
+      if (!options.magicLink) {
+        return cb(new Error('verifyMagicLink needs the magicLink option'));
+      }
 
-  schema.pre('save', function (next) {
-    // if specified, convert the username to lowercase
-    if (options.usernameLowerCase) {
-      this[options.usernameField] = this[options.usernameField].toLowerCase();
-    }
-    if (this[options.emailField]) {
-      this[options.emailField] = this[options.emailField].toLowerCase();
-    }
+      cb = reportLogin('magicLink', {
+        req: req
+      }, cb);
 
-    next();
-  });
+      var fail = function (result) {
+        cb(null, false, {
+          result: result,
+          message: options[result + 'Error']
+        });
+      };
 
-  schema.methods.setPassword = function (password, cb) {
-    if (!password) {
-      return cb(new BadRequestError('missingPassword', options.missingPasswordError));
-    }
+      var parts = tokens.unsign(token, options.magicLinkSecret);
 
-    var self = this;
+      if (!parts || parts.length !== 3) {
+        return fail('magicLinkInvalid');
+      }
 
-    crypto.randomBytes(options.saltlen, function (err, buf) {
-      if (err) {
-        return cb(err);
+      if (Number(parts[2]) < Date.now()) {
+        return fail('magicLinkExpired');
       }
 
-      var salt = buf.toString(options.encoding);
+      var nonceHash = tokens.hash(parts[1]);
 
-      crypto.pbkdf2(password, salt, options.iterations, options.keylen, function (err, hashRaw) {
+      self.findById(parts[0], function (err, user) {
         if (err) {
           return cb(err);
         }
 
-        self.set(options.hashField, new Buffer(hashRaw, 'binary').toString(options.encoding));
-        self.set(options.saltField, salt);
+        if (!user || user.get(options.magicLinkTokenField) !== nonceHash) {
+          return fail('magicLinkInvalid');
+        }
 
-        cb(null, self);
+        if (user.get(options.magicLinkUsedField)) {
+          return fail('magicLinkUsed');
+        }
+
+        var binding = user.get(options.magicLinkBindingField);
+        if (binding && !(req && req.sessionID && tokens.hash(req.sessionID) === binding)) {
+          return fail('magicLinkWrongBrowser');
+        }
+
+        checkLock(user, function (err, locked) {
+          if (err) {
+            return cb(err);
+          }
+
+          if (locked) {
+            return cb(null, false, locked);
+          }
+
+          // only one of concurrent requests with the same link gets to use it
+          var conditions = {
+            _id: user._id
+          };
+          conditions[options.magicLinkTokenField] = nonceHash;
+          conditions[options.magicLinkUsedField] = null;
+
+          var update = {};
+          update[options.magicLinkUsedField] = new Date();
+
+          // the link proves that the user owns the email
+          if (options.emailVerification) {
+            update[options.verifiedField] = true;
+          }
+
+          self.findOneAndUpdate(conditions, {
+            $set: update
+          }, function (err, user) {
+            if (err) {
+              return cb(err);
+            }
+
+            if (!user) {
+              return fail('magicLinkUsed');
+            }
+
+            requireSecondFactor(user, cb);
+          });
+        });
       });
-    });
+    }, toAuthResult);
   };
 
-  schema.methods.authenticate = function (password, cb) {
+  schema.statics.createMagicLinkStrategy = function (strategyOptions) {
     var self = this;
 
-    if (options.limitAttempts) {
-      var attemptsInterval = Math.pow(options.interval, Math.log(this.get(options.attemptsField) + 1));
-      var calculatedInterval = (attemptsInterval < options.maxInterval) ? attemptsInterval : options.maxInterval;
-
-      if (Date.now() - this.get(options.lastLoginField) < calculatedInterval) {
-        this.set(options.lastLoginField, Date.now());
-        this.save();
-        return cb(null, false, {
-          message: options.attemptTooSoonError
-        });
-      }
+    strategyOptions = strategyOptions || {};
+    var tokenField = strategyOptions.tokenField || 'token';
 
-    }
+    return new TokenStrategy({
+      name: strategyOptions.name || 'magiclink',
+      extract: function (req) {
+        var token = TokenStrategy.param(req, tokenField);
 
-    if (!this.get(options.saltField)) {
-      return cb(null, false, {
-        message: options.noSaltValueStoredError
-      });
-    }
+        return token && {
+          token: token
+        };
+      }
+    }, function (req, credentials, done) {
+      self.verifyMagicLink(credentials.token, req, done);
+    });
+  };
 
-    crypto.pbkdf2(password, this.get(options.saltField), options.iterations, options.keylen, function (err, hashRaw) {
-      if (err) {
-        return cb(err);
+  // Emails a numeric one-time login code to the user with the email
+  schema.statics.sendLoginCode = function (email, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.loginCode) {
+        return cb(new Error('sendLoginCode needs the loginCode option'));
       }
 
-      var hash = new Buffer(hashRaw, 'binary').toString(options.encoding);
+      self.findByEmail(email, function (err, user) {
+        if (err) {
+          return cb(err);
+        }
 
-      if (hash === self.get(options.hashField)) {
-        if (options.limitAttempts) {
-          self.set(options.lastLoginField, Date.now());
-          self.set(options.attemptsField, 0);
-          self.save();
+        // codes get the slow password hash, so unknown users get one as well,
+        // or the quick answer would give them away
+        if (!user && options.hideUnknownUsers) {
+          return hashPassword('', '', currentHashParams(), function (err) {
+            cb(err);
+          });
         }
-        return cb(null, self);
-      } else {
-        if (options.limitAttempts) {
-          self.set(options.lastLoginField, Date.now());
-          self.set(options.attemptsField, self.get(options.attemptsField) + 1);
-          self.save();
+
+        if (!user) {
+          return userNotFound(options.emailField, email, cb);
         }
-        return cb(null, false, {
-          result: 'incorrectPassword',
-          message: options.incorrectPasswordError
+
+        tokens.digits(options.loginCodeLength, function (err, code) {
+          if (err) {
+            return cb(err);
+          }
+
+          crypto.randomBytes(options.saltlen, function (err, buf) {
+            if (err) {
+              return cb(err);
+            }
+
+            var salt = buf.toString(options.encoding);
+
+            var params = currentHashParams();
+
+            // codes are short, so they get the slow password hash
+            hashPassword(code, salt, params, function (err, hash) {
+              if (err) {
+                return cb(err);
+              }
+
+              user.set(options.loginCodeField, hash);
+              user.set(options.loginCodeSaltField, salt);
+              user.set(options.loginCodeHashParamsField, params);
+              user.set(options.loginCodeExpiresField, new Date(Date.now() + options.loginCodeTTL));
+              user.set(options.loginCodeAttemptsField, 0);
+              user.save(function (err) {
+                if (err) {
+                  return cb(err);
+                }
+
+                sendMail('loginCode', user, {
+                  code: code
+                }, function (mailError) {
+                  cb(null, code, user, mailError);
+                });
+              });
+            });
+          });
         });
-      }
+      });
+    }, function (code, user, mailError) {
+      return withMailError({
+        code: code,
+        user: user
+      }, mailError);
     });
   };
 
-  schema.statics.authenticate = function () {
+  schema.statics.verifyLoginCode = function (email, code, cb) {
     var self = this;
 
-    return function (usernameOrEmail, password, cb) {
-      self.findByUsername(usernameOrEmail, function (err, user) {
+    return withCallback(cb, function (cb) {
+      if (!options.loginCode) {
+        return cb(new Error('verifyLoginCode needs the loginCode option'));
+      }
+
+      var context = {
+        identifier: email
+      };
+      cb = reportLogin('loginCode', context, cb);
+
+      var fail = function (result) {
+        cb(null, false, {
+          result: result,
+          message: options[result + 'Error']
+        });
+      };
+
+      self.findByEmail(email, function (err, user) {
         if (err) {
           return cb(err);
         }
 
-        if (user) {
-          return user.authenticate(password, cb);
+        context.user = user || undefined;
+
+        if (!user) {
+          return dummyHash(String(code), function () {
+            fail('loginCodeInvalid');
+          });
         }
 
-        self.findByEmail(usernameOrEmail, function (err, user) {
+        loadFields(user, [
+          options.loginCodeField,
+          options.loginCodeSaltField,
+          options.loginCodeHashParamsField,
+          options.loginCodeExpiresField,
+          options.loginCodeAttemptsField
+        ], function (err) {
           if (err) {
             return cb(err);
           }
 
-          if (user) {
-            return user.authenticate(password, cb);
-          }
+          guardAttempt(user, cb, function () {
+            var storedHash = user.get(options.loginCodeField);
 
-          return cb(null, false, {
-            result: 'incorrectUsername',
-            message: util.format(options.incorrectUsernameError, options.usernameField)
+            if (!storedHash) {
+              return dummyHash(String(code), function () {
+                fail('loginCodeInvalid');
+              });
+            }
+
+            if (user.get(options.loginCodeExpiresField) < Date.now()) {
+              return fail('loginCodeExpired');
+            }
+
+            // the code is checked with the settings it was hashed with, they may have changed since
+            var params = user.get(options.loginCodeHashParamsField) || currentHashParams();
+
+            hashPassword(String(code), user.get(options.loginCodeSaltField), params, function (err, hash) {
+              if (err) {
+                return cb(err);
+              }
+
+              var conditions = {
+                _id: user._id
+              };
+              conditions[options.loginCodeField] = storedHash;
+
+              if (hashesEqual(hash, storedHash)) {
+                var clearCode = {};
+                clearCode[options.loginCodeField] = 1;
+                clearCode[options.loginCodeSaltField] = 1;
+                clearCode[options.loginCodeHashParamsField] = 1;
+                clearCode[options.loginCodeExpiresField] = 1;
+                clearCode[options.loginCodeAttemptsField] = 1;
+
+                var update = {
+                  $unset: clearCode
+                };
+
+                // the code proves that the user owns the email
+                if (options.emailVerification) {
+                  update.$set = {};
+                  update.$set[options.verifiedField] = true;
+                }
+
+                return self.findOneAndUpdate(conditions, update, function (err, user) {
+                  if (err) {
+                    return cb(err);
+                  }
+
+                  // the code was used in the meantime
+                  if (!user) {
+                    return fail('loginCodeInvalid');
+                  }
+
+                  recordAttempt(user, true, function (err) {
+                    if (err) {
+                      return cb(err);
+                    }
+
+                    requireSecondFactor(user, cb);
+                  });
+                });
+              }
+
+              var increment = {};
+              increment[options.loginCodeAttemptsField] = 1;
+
+              self.findOneAndUpdate(conditions, {
+                $inc: increment
+              }, function (err, user) {
+                if (err) {
+                  return cb(err);
+                }
+
+                if (!user) {
+                  return fail('loginCodeInvalid');
+                }
+
+                var exceeded = user.get(options.loginCodeAttemptsField) >= options.loginCodeAttempts;
+
+                var finish = function (err) {
+                  if (err) {
+                    return cb(err);
+                  }
+
+                  recordAttempt(user, false, function (err, locked) {
+                    if (err) {
+                      return cb(err);
+                    }
+
+                    if (locked) {
+                      return cb(null, false, locked);
+                    }
+
+                    fail(exceeded ? 'loginCodeAttemptsExceeded' : 'loginCodeInvalid');
+                  });
+                };
+
+                if (!exceeded) {
+                  return finish();
+                }
+
+                // a code that has been guessed at too often is burnt
+                user.set(options.loginCodeField, undefined);
+                user.set(options.loginCodeSaltField, undefined);
+                user.set(options.loginCodeHashParamsField, undefined);
+                user.set(options.loginCodeExpiresField, undefined);
+                user.set(options.loginCodeAttemptsField, undefined);
+                user.save(finish);
+              });
+            });
           });
         });
       });
-    };
+    }, toAuthResult);
   };
 
-  schema.statics.serializeUser = function () {
-    return function (user, cb) {
-      cb(null, user.get(options.usernameField));
-    };
+  schema.statics.createLoginCodeStrategy = function (strategyOptions) {
+    var self = this;
+
+    strategyOptions = strategyOptions || {};
+    var emailField = strategyOptions.emailField || 'email';
+    var codeField = strategyOptions.codeField || 'code';
+
+    return new TokenStrategy({
+      name: strategyOptions.name || 'logincode',
+      extract: function (req) {
+        var email = TokenStrategy.param(req, emailField);
+        var code = TokenStrategy.param(req, codeField);
+
+        return email && code && {
+          email: email,
+          code: code
+        };
+      }
+    }, function (req, credentials, done) {
+      self.verifyLoginCode(credentials.email, credentials.code, done);
+    });
   };
 
-  schema.statics.deserializeUser = function () {
+  // Logs in with a remember me token and replaces it by a new one. A token of
+  // the series that is not the latest one has been used before, by the user or
+  // by someone who stole it, so the series is dropped.
+  schema.statics.verifyRememberMeToken = function (value, cb) {
     var self = this;
 
-    return function (username, cb) {
-      self.findByUsername(username, cb);
-    };
-  };
+    return withCallback(cb, function (cb) {
+      if (!options.rememberMe) {
+        return cb(new Error('verifyRememberMeToken needs the rememberMe option'));
+      }
 
-  schema.statics.register = function (user, password, cb) {
-    // Create an instance of this in case user isn't already an instance
-    if (!(user instanceof this)) {
-      user = new this(user);
-    }
+      var context = {};
+      cb = reportLogin('rememberMe', context, cb);
 
-    if (!user.get(options.usernameField)) {
-      return cb(new BadRequestError('missingUsername', util.format(options.missingUsernameError, options.usernameField)));
-    }
+      var fail = function (result) {
+        cb(null, false, {
+          result: result,
+          message: options[result + 'Error']
+        });
+      };
 
-    if (!user.get(options.emailField)) {
-      return cb(new BadRequestError('missingEmail', options.missingEmailError));
-    }
+      var parsed = parseRememberMeToken(value);
 
-    var self = this;
-    self.findByUsername(user.get(options.usernameField), function (err, existingUser) {
-      if (err) {
-        return cb(err);
+      if (!parsed) {
+        return fail('rememberMeInvalid');
       }
 
-      if (existingUser) {
-        return cb(new BadRequestError('usernameExists', util.format(options.userExistsError, options.usernameField, user.get(options.usernameField))));
-      }
+      var conditions = {};
+      conditions[options.rememberMeField + '.series'] = parsed.series;
 
-      self.findByEmail(user.get(options.emailField), function (err, existingUser) {
+      self.findOne(conditions, function (err, user) {
         if (err) {
           return cb(err);
         }
 
-        if (existingUser) {
-          return cb(new BadRequestError('emailExists', util.format(options.userExistsError, options.emailField, user.get(options.emailField))));
+        if (!user) {
+          return fail('rememberMeInvalid');
+        }
+
+        context.user = user;
+
+        var entry = user.get(options.rememberMeField).filter(function (entry) {
+          return entry.series === parsed.series;
+        })[0];
+
+        var revoke = function (result) {
+          // sessions restored with a stolen token are ended too
+          revokeRememberMeSeries(self, {
+            _id: user._id
+          }, parsed.series, result === 'rememberMeReused', function (err) {
+            if (err) {
+              return cb(err);
+            }
+
+            fail(result);
+          });
+        };
+
+        if (entry.expires < Date.now()) {
+          return revoke('rememberMeExpired');
         }
 
-        user.setPassword(password, function (err, user) {
+        if (!tokens.equal(parsed.hash, entry.hash)) {
+          return revoke('rememberMeReused');
+        }
+
+        checkLock(user, function (err, locked) {
           if (err) {
             return cb(err);
           }
 
-          user.save(function (err) {
+          if (locked) {
+            return cb(null, false, locked);
+          }
+
+          tokens.generate(32, function (err, token) {
             if (err) {
               return cb(err);
             }
 
-            cb(null, user);
+            // the token is only replaced if no concurrent request replaced it first
+            var conditions = {
+              _id: user._id
+            };
+            conditions[options.rememberMeField] = {
+              $elemMatch: {
+                series: parsed.series,
+                hash: parsed.hash
+              }
+            };
+
+            var update = {};
+            update[options.rememberMeField + '.$.hash'] = tokens.hash(token);
+            update[options.rememberMeField + '.$.expires'] = new Date(Date.now() + options.rememberMeTTL);
+
+            self.findOneAndUpdate(conditions, {
+              $set: update
+            }, function (err, updated) {
+              if (err) {
+                return cb(err);
+              }
+
+              if (!updated) {
+                return revoke('rememberMeReused');
+              }
+
+              cb(null, updated, {
+                token: parsed.series + '.' + token
+              });
+            });
           });
         });
       });
+    }, toAuthResult);
+  };
+
+  // Drops the series of a remember me token, for example on logout
+  schema.statics.revokeRememberMeToken = function (value, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.rememberMe) {
+        return cb(new Error('revokeRememberMeToken needs the rememberMe option'));
+      }
+
+      var parsed = parseRememberMeToken(value);
+
+      if (!parsed) {
+        return cb();
+      }
+
+      var conditions = {};
+      conditions[options.rememberMeField + '.series'] = parsed.series;
+
+      revokeRememberMeSeries(self, conditions, parsed.series, false, cb);
+    });
+  };
+
+  schema.statics.createRememberMeStrategy = function (strategyOptions) {
+    var self = this;
+
+    strategyOptions = strategyOptions || {};
+    var cookieName = strategyOptions.cookieName || 'remember_me';
+
+    return new TokenStrategy({
+      name: strategyOptions.name || 'rememberme',
+      optional: true,
+      extract: function (req) {
+        // requests with a session need no remember me token
+        var token = !(req.isAuthenticated && req.isAuthenticated()) && TokenStrategy.cookie(req, cookieName);
+
+        return token && {
+          token: token
+        };
+      }
+    }, function (req, credentials, done) {
+      self.verifyRememberMeToken(credentials.token, done);
+    });
+  };
+
+  // Lifts the lock of the user the emailed unlock token was created for
+  schema.statics.unlockAccount = function (token, cb) {
+    var self = this;
+
+    return withCallback(cb, function (cb) {
+      if (!options.lockAfter) {
+        return cb(new Error('unlockAccount needs the lockAfter option'));
+      }
+
+      var queryParameters = {};
+      queryParameters[options.unlockTokenField] = tokens.hash(token);
+
+      self.findOne(queryParameters, function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        if (!token || !user) {
+          return cb(new BadRequestError('unlockTokenInvalid', options.unlockTokenInvalidError));
+        }
+
+        user.unlock(cb);
+      });
     });
   };
 
@@ -268,7 +3390,7 @@ module.exports = function (schema, options) {
 
     var query = this.findOne(queryParameters);
     if (options.selectFields) {
-      query.select(options.selectFields);
+      query.select(publicSelection(options.selectFields));
     }
 
     if (options.populateFields) {
@@ -278,7 +3400,7 @@ module.exports = function (schema, options) {
     if (cb) {
       query.exec(cb);
     } else {
-      return query;
+      return thenable(query);
     }
   };
 
@@ -294,7 +3416,7 @@ module.exports = function (schema, options) {
 
     var query = this.findOne(queryParameters);
     if (options.selectFields) {
-      query.select(options.selectFields);
+      query.select(publicSelection(options.selectFields));
     }
 
     if (options.populateFields) {
@@ -304,11 +3426,76 @@ module.exports = function (schema, options) {
     if (cb) {
       query.exec(cb);
     } else {
-      return query;
+      return thenable(query);
+    }
+  };
+
+  schema.statics.loginAudit = function () {
+    if (!options.auditLog) {
+      throw new Error('loginAudit needs the auditLog option');
     }
+
+    return auditModel(this);
+  };
+
+  // The emitter of the account events of this model
+  schema.statics.accountEvents = function () {
+    return emitter;
   };
 
   schema.statics.createStrategy = function () {
-    return new LocalStrategy(options, this.authenticate());
+    var self = this;
+    var authenticate = this.authenticate();
+
+    // the request is passed on for the audit log and the account events
+    var strategyOptions = Object.assign({}, options, {
+      passReqToCallback: true
+    });
+
+    if (!rateLimiter) {
+      return new LocalStrategy(strategyOptions, authenticate);
+    }
+
+    return new LocalStrategy(strategyOptions, function (req, usernameOrEmail, password, done) {
+      rateLimiter.hit(req, function (err, hit) {
+        if (err) {
+          return done(err);
+        }
+
+        if (hit.retryAfter > 0) {
+          var info = {
+            result: 'rateLimited',
+            message: options.rateLimitedError,
+            retryAfter: hit.retryAfter
+          };
+
+          return audit(self, undefined, usernameOrEmail, req, false, info, function () {
+            emitLogin('password', false, info, {
+              identifier: usernameOrEmail,
+              req: req
+            });
+            done(null, false, info);
+          });
+        }
+
+        authenticate(req, usernameOrEmail, password, function (err, user, info) {
+          if (err) {
+            return done(err);
+          }
+
+          // only wrong credentials count towards the rate limit
+          if (!user && !(info && info.result === 'secondFactorRequired')) {
+            return done(null, user, info);
+          }
+
+          rateLimiter.release(hit.keys, function (err) {
+            done(err, user, info);
+          });
+        });
+      });
+    });
   };
-};
\ No newline at end of file
+};
+
+module.exports.MemoryTransport = MemoryTransport;
+module.exports.MemoryStore = MemoryStore;
@@ -0,0 +1,113 @@
+/* jshint node:true */
+'use strict';
+
+var util = require('util');
+
+var characterClasses = [{
+  rule: 'requireLowercase',
+  name: 'passwordMissingLowercase',
+  pattern: /[a-z]/
+}, {
+  rule: 'requireUppercase',
+  name: 'passwordMissingUppercase',
+  pattern: /[A-Z]/
+}, {
+  rule: 'requireDigit',
+  name: 'passwordMissingDigit',
+  pattern: /[0-9]/
+}, {
+  rule: 'requireSymbol',
+  name: 'passwordMissingSymbol',
+  pattern: /[^a-zA-Z0-9]/
+}];
+
+// values shorter than this are too common to be banned from passwords
+var minBannedLength = 3;
+
+function contains(password, value) {
+  return !!value && value.length >= minBannedLength && password.toLowerCase().indexOf(value.toLowerCase()) !== -1;
+}
+
+// Turns what a custom validator returned into a list of failures
+function toFailures(result, message) {
+  if (!result) {
+    return [];
+  }
+
+  return [].concat(result).map(function (failure) {
+    if (typeof failure === 'string') {
+      return {
+        name: 'passwordInvalid',
+        message: failure
+      };
+    }
+
+    return {
+      name: failure.name || 'passwordInvalid',
+      message: failure.message || message
+    };
+  });
+}
+
+// Checks the password of a user against the passwordPolicy option and yields
+// the rules it fails as a list of `{ name, message }`.
+module.exports = function (options, password, user, cb) {
+  var policy = options.passwordPolicy;
+  var username = user.get(options.usernameField);
+  var email = user.get(options.emailField);
+  var failures = [];
+
+  if (policy.minLength && password.length < policy.minLength) {
+    failures.push({
+      name: 'passwordTooShort',
+      message: util.format(options.passwordTooShortError, policy.minLength)
+    });
+  }
+
+  if (policy.maxLength && password.length > policy.maxLength) {
+    failures.push({
+      name: 'passwordTooLong',
+      message: util.format(options.passwordTooLongError, policy.maxLength)
+    });
+  }
+
+  characterClasses.forEach(function (characterClass) {
+    if (policy[characterClass.rule] && !characterClass.pattern.test(password)) {
+      failures.push({
+        name: characterClass.name,
+        message: options[characterClass.name + 'Error']
+      });
+    }
+  });
+
+  if (policy.forbidUsername && contains(password, username)) {
+    failures.push({
+      name: 'passwordContainsUsername',
+      message: util.format(options.passwordContainsUsernameError, options.usernameField)
+    });
+  }
+
+  if (policy.forbidEmail && (contains(password, email) || contains(password, (email || '').split('@')[0]))) {
+    failures.push({
+      name: 'passwordContainsEmail',
+      message: options.passwordContainsEmailError
+    });
+  }
+
+  if (!policy.validate) {
+    return cb(null, failures);
+  }
+
+  // custom validators taking a callback may check asynchronously
+  if (policy.validate.length > 2) {
+    return policy.validate(password, user, function (err, result) {
+      if (err) {
+        return cb(err);
+      }
+
+      cb(null, failures.concat(toFailures(result, options.passwordInvalidError)));
+    });
+  }
+
+  cb(null, failures.concat(toFailures(policy.validate(password, user), options.passwordInvalidError)));
+};
@@ -0,0 +1,136 @@
+/* jshint node:true */
+'use strict';
+
+var MemoryStore = require('./memorystore');
+
+// Limits login failures per client IP and across all accounts, so guessing
+// one password for many accounts is throttled as well. Counters live in a
+// store with `increment(key, window, cb)`, yielding `{ count, resetAt }` for
+// a counter that starts over at resetAt, and `decrement(key, cb)`. Store
+// methods may return a promise instead of calling cb.
+function RateLimiter(options) {
+  options = options === true ? {} : options;
+
+  this.store = options.store || new MemoryStore();
+  this.keyPrefix = options.keyPrefix || 'login:';
+  this.clientIp = options.clientIp || function (req) {
+    return req.ip || (req.connection && req.connection.remoteAddress);
+  };
+  this.limits = [];
+
+  if (options.ip !== false) {
+    this.limits.push({
+      key: 'ip',
+      limit: (options.ip && options.ip.limit) || 10,
+      window: (options.ip && options.ip.window) || 60000 // 1 minute
+    });
+  }
+
+  if (options.global) {
+    this.limits.push({
+      key: 'global',
+      limit: options.global.limit || 1000,
+      window: options.global.window || 60000 // 1 minute
+    });
+  }
+}
+
+function call(store, method, args, cb) {
+  var called = false;
+  var done = function (err, result) {
+    if (!called) {
+      called = true;
+      cb(err || null, result);
+    }
+  };
+
+  var result = store[method].apply(store, args.concat(done));
+
+  if (result && typeof result.then === 'function') {
+    result.then(function (value) {
+      done(null, value);
+    }, done);
+  }
+}
+
+RateLimiter.prototype.keys = function (req) {
+  var self = this;
+
+  return this.limits.map(function (limit) {
+    return self.keyPrefix + (limit.key === 'ip' ? 'ip:' + self.clientIp(req) : 'global');
+  });
+};
+
+// Counts a login attempt of the request. Yields the counted keys and the
+// milliseconds until the next attempt is allowed, 0 if this one is.
+RateLimiter.prototype.hit = function (req, cb) {
+  var self = this;
+  var keys = this.keys(req);
+  var now = Date.now();
+  var retryAfter = 0;
+  var pending = keys.length;
+  var failed = false;
+
+  if (!pending) {
+    return cb(null, {
+      keys: keys,
+      retryAfter: 0
+    });
+  }
+
+  keys.forEach(function (key, i) {
+    var limit = self.limits[i];
+
+    call(self.store, 'increment', [key, limit.window], function (err, counter) {
+      if (failed) {
+        return;
+      }
+
+      if (err) {
+        failed = true;
+        return cb(err);
+      }
+
+      if (counter.count > limit.limit) {
+        retryAfter = Math.max(retryAfter, counter.resetAt - now);
+      }
+
+      if (!--pending) {
+        cb(null, {
+          keys: keys,
+          retryAfter: retryAfter
+        });
+      }
+    });
+  });
+};
+
+// Takes back the attempt of a successful login, so only failures count
+RateLimiter.prototype.release = function (keys, cb) {
+  var self = this;
+  var pending = keys.length;
+  var failed = false;
+
+  if (!pending) {
+    return cb();
+  }
+
+  keys.forEach(function (key) {
+    call(self.store, 'decrement', [key], function (err) {
+      if (failed) {
+        return;
+      }
+
+      if (err) {
+        failed = true;
+        return cb(err);
+      }
+
+      if (!--pending) {
+        cb();
+      }
+    });
+  });
+};
+
+module.exports = RateLimiter;
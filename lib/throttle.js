@@ -0,0 +1,119 @@
+/* jshint node:true */
+'use strict';
+
+var util = require('util');
+
+// Throttling policies decide how long a user has to wait before the next login
+// attempt. `wait(record, now)` gets the login record of the user, `{ attempts,
+// last, state }` with the failures in a row, the time of the last attempt in
+// milliseconds and the state of the policy, and returns the milliseconds until
+// the next attempt is allowed (0 allows it). Policies with an `update(state,
+// now)` function keep their own state, which is updated on every allowed
+// attempt.
+
+// The wait grows with the failures in a row, up to maxInterval
+exports.exponential = function (settings) {
+  return {
+    wait: function (record, now) {
+      var interval = Math.min(Math.pow(settings.interval, Math.log(record.attempts + 1)), settings.maxInterval);
+
+      return Math.max(0, record.last + interval - now);
+    }
+  };
+};
+
+// At most `limit` attempts per `window` milliseconds
+exports.fixedWindow = function (settings) {
+  var limit = settings.limit || 5;
+  var window = settings.window || 60000; // 1 minute
+
+  var expired = function (state, now) {
+    return !state || now - state.start >= window;
+  };
+
+  return {
+    wait: function (record, now) {
+      var state = record.state;
+
+      if (expired(state, now) || state.count < limit) {
+        return 0;
+      }
+
+      return state.start + window - now;
+    },
+    update: function (state, now) {
+      if (expired(state, now)) {
+        return {
+          start: now,
+          count: 1
+        };
+      }
+
+      return {
+        start: state.start,
+        count: state.count + 1
+      };
+    }
+  };
+};
+
+// Every attempt takes a token from a bucket of `capacity` tokens, which gets a
+// new token every `refillInterval` milliseconds
+exports.tokenBucket = function (settings) {
+  var capacity = settings.capacity || 5;
+  var refillInterval = settings.refillInterval || 60000; // 1 minute
+
+  var level = function (state, now) {
+    if (!state) {
+      return capacity;
+    }
+
+    return Math.min(capacity, state.tokens + (now - state.updated) / refillInterval);
+  };
+
+  return {
+    wait: function (record, now) {
+      var tokens = level(record.state, now);
+
+      return tokens >= 1 ? 0 : Math.ceil((1 - tokens) * refillInterval);
+    },
+    update: function (state, now) {
+      return {
+        tokens: level(state, now) - 1,
+        updated: now
+      };
+    }
+  };
+};
+
+// Turns the throttle option into a policy. It is the name of a built-in
+// policy, an object with the name in `policy` and its settings, a function
+// used as `wait` or a policy object. The exponential policy is the default
+// and takes its settings from the plugin options.
+exports.policy = function (throttle, options) {
+  if (typeof throttle === 'function') {
+    return {
+      wait: throttle
+    };
+  }
+
+  if (throttle && typeof throttle.wait === 'function') {
+    return throttle;
+  }
+
+  var settings = typeof throttle === 'object' ? throttle : {};
+  var name = typeof throttle === 'string' ? throttle : settings.policy || 'exponential';
+
+  if (name === 'exponential') {
+    settings = {
+      interval: settings.interval || options.interval,
+      maxInterval: settings.maxInterval || options.maxInterval
+    };
+  }
+
+  if (name === 'policy' || !exports.hasOwnProperty(name)) {
+    throw new Error(util.format('Unknown throttling policy "%s"', name));
+  }
+
+  return exports[name](settings);
+};
@@ -0,0 +1,87 @@
+/* jshint node:true */
+'use strict';
+
+var crypto = require('crypto');
+
+// Tokens handed out to users, for example in emailed links. Only their hash is
+// stored, so a database dump does not reveal usable tokens.
+
+exports.generate = function (size, cb) {
+  crypto.randomBytes(size, function (err, buf) {
+    if (err) {
+      return cb(err);
+    }
+
+    cb(null, buf.toString('hex'));
+  });
+};
+
+// Generates a random numeric code with the given number of digits, for codes
+// users have to type in. Random values beyond the largest multiple of the
+// code range are drawn again, so all codes are equally likely.
+exports.digits = function (length, cb) {
+  var range = Math.pow(10, length);
+  var limit = Math.floor(0x100000000 / range) * range;
+
+  crypto.randomBytes(4, function (err, buf) {
+    if (err) {
+      return cb(err);
+    }
+
+    var value = buf.readUInt32BE(0);
+
+    if (value >= limit) {
+      return exports.digits(length, cb);
+    }
+
+    cb(null, String(value % range + range).slice(1));
+  });
+};
+
+exports.hash = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Compares token hashes in constant time
+exports.equal = function (hash, storedHash) {
+  var actual = Buffer.from(String(hash));
+  var expected = Buffer.from(String(storedHash || ''));
+
+  if (actual.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Joins the parts with dots and appends an HMAC of them, so the token can be
+// checked for tampering before it is looked up
+exports.sign = function (parts, secret) {
+  var payload = parts.join('.');
+
+  return payload + '.' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Yields the parts of a signed token, or null if the signature does not match
+// or the token is not a string
+exports.unsign = function (token, secret) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  var separator = token.lastIndexOf('.');
+
+  if (separator === -1) {
+    return null;
+  }
+
+  var payload = token.slice(0, separator);
+  var signature = Buffer.from(token.slice(separator + 1));
+  var expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  return payload.split('.');
+};
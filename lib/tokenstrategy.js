@@ -0,0 +1,93 @@
+/* jshint node:true */
+'use strict';
+
+var util = require('util');
+var PassportStrategy = require('passport-strategy');
+
+// Passport strategy authenticating requests by credentials other than a
+// password, such as emailed tokens or codes. `options.extract(req)` returns
+// the credentials of a request or nothing if they are missing. They are passed
+// to `verify(req, credentials, done)`, which yields the user or false and an
+// info object like the authenticate methods of the plugin do. With
+// `options.optional` requests without credentials are passed on instead of
+// failing.
+function TokenStrategy(options, verify) {
+  PassportStrategy.call(this);
+
+  this.name = options.name;
+  this._extract = options.extract;
+  this._optional = !!options.optional;
+  this._verify = verify;
+  this._missingCredentialsMessage = options.missingCredentialsMessage || 'Missing credentials';
+}
+
+util.inherits(TokenStrategy, PassportStrategy);
+
+TokenStrategy.prototype.authenticate = function (req) {
+  var self = this;
+  var credentials = this._extract(req);
+
+  if (!credentials) {
+    if (this._optional) {
+      return this.pass();
+    }
+
+    return this.fail({
+      result: 'missingCredentials',
+      message: this._missingCredentialsMessage
+    }, 400);
+  }
+
+  this._verify(req, credentials, function (err, user, info) {
+    if (err) {
+      return self.error(err);
+    }
+
+    if (!user) {
+      return self.fail(info);
+    }
+
+    self.success(user, info);
+  });
+};
+
+// Only strings are credentials. Query string and body parsers also yield
+// arrays and objects, like for `?token[]=a`.
+function string(value) {
+  return typeof value === 'string' && value ? value : undefined;
+}
+
+// Reads a parameter from the query string or the parsed request body
+TokenStrategy.param = function (req, name) {
+  return string(req.query && req.query[name]) || string(req.body && req.body[name]);
+};
+
+// Reads a cookie, parsed by cookie-parser or from the Cookie header
+TokenStrategy.cookie = function (req, name) {
+  if (req.cookies && string(req.cookies[name])) {
+    return req.cookies[name];
+  }
+
+  var header = (req.headers && req.headers.cookie) || '';
+  var value;
+
+  header.split(';').some(function (pair) {
+    var separator = pair.indexOf('=');
+
+    if (separator === -1 || pair.slice(0, separator).trim() !== name) {
+      return false;
+    }
+
+    try {
+      value = decodeURIComponent(pair.slice(separator + 1).trim());
+    } catch (err) {
+      value = undefined;
+    }
+
+    return true;
+  });
+
+  return value;
+};
+
+module.exports = TokenStrategy;
@@ -0,0 +1,135 @@
+/* jshint node:true */
+'use strict';
+
+var crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as generated by authenticator apps.
+// Secrets are exchanged base32 encoded (RFC 4648), which is what the apps
+// expect in otpauth:// URIs.
+
+var alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+exports.encode = function (buf) {
+  var result = '';
+  var bits = 0;
+  var value = 0;
+
+  for (var i = 0; i < buf.length; i++) {
+    value = (value << 8) | buf[i];
+    bits += 8;
+
+    while (bits >= 5) {
+      result += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    result += alphabet[(value << (5 - bits)) & 31];
+  }
+
+  return result;
+};
+
+exports.decode = function (secret) {
+  var clean = String(secret).toUpperCase().replace(/[\s=]/g, '');
+  var bytes = [];
+  var bits = 0;
+  var value = 0;
+
+  for (var i = 0; i < clean.length; i++) {
+    var index = alphabet.indexOf(clean[i]);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character "' + clean[i] + '"');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Yields a new random base32 secret of 160 bits, the size RFC 4226 recommends
+exports.generateSecret = function (cb) {
+  crypto.randomBytes(20, function (err, buf) {
+    if (err) {
+      return cb(err);
+    }
+
+    cb(null, exports.encode(buf));
+  });
+};
+
+// The HOTP code (RFC 4226) of a counter
+exports.hotp = function (secret, counter, digits) {
+  var message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+
+  var hmac = crypto.createHmac('sha1', exports.decode(secret)).update(message).digest();
+  var offset = hmac[hmac.length - 1] & 15;
+  var binary = ((hmac[offset] & 127) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  var range = Math.pow(10, digits);
+
+  return String(binary % range + range).slice(1);
+};
+
+// The time step a time in milliseconds falls into
+exports.step = function (time, period) {
+  return Math.floor(time / 1000 / period);
+};
+
+exports.generate = function (secret, options) {
+  options = options || {};
+
+  return exports.hotp(secret, exports.step(options.time || Date.now(), options.period || 30), options.digits || 6);
+};
+
+// Checks a code against the current time step and `window` steps before and
+// after it, to allow for clock drift. Yields the matching time step, or -1 if
+// the code does not match.
+exports.verify = function (secret, code, options) {
+  options = options || {};
+
+  var digits = options.digits || 6;
+  var window = options.window === undefined ? 1 : options.window;
+  var current = exports.step(options.time || Date.now(), options.period || 30);
+  var expected = Buffer.from(String(code));
+
+  for (var step = current - window; step <= current + window; step++) {
+    var actual = Buffer.from(exports.hotp(secret, step, digits));
+
+    if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+      return step;
+    }
+  }
+
+  return -1;
+};
+
+// The otpauth:// URI authenticator apps read from QR codes
+exports.uri = function (secret, options) {
+  options = options || {};
+
+  var label = encodeURIComponent(options.account);
+  var query = ['secret=' + secret];
+
+  if (options.issuer) {
+    label = encodeURIComponent(options.issuer) + ':' + label;
+    query.push('issuer=' + encodeURIComponent(options.issuer));
+  }
+
+  query.push('algorithm=SHA1', 'digits=' + (options.digits || 6), 'period=' + (options.period || 30));
+
+  return 'otpauth://totp/' + label + '?' + query.join('&');
+};
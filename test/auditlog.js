@@ -0,0 +1,46 @@
+var auditLog = require('../lib/auditlog');
+var Schema = require('mongoose').Schema;
+var assert = require('assert');
+
+describe('auditLog', function () {
+  describe('#outcome()', function () {
+    it('should map authentication results to outcomes', function () {
+      assert.equal('success', auditLog.outcome({}, undefined));
+      assert.equal('incorrectPassword', auditLog.outcome(false, { result: 'incorrectPassword' }));
+      assert.equal('incorrectUsername', auditLog.outcome(false, { result: 'incorrectUsername' }));
+      assert.equal('attemptTooSoon', auditLog.outcome(false, { result: 'attemptTooSoon' }));
+      assert.equal('attemptTooSoon', auditLog.outcome(false, { result: 'rateLimited' }));
+      assert.equal('locked', auditLog.outcome(false, { result: 'accountLocked' }));
+      assert.equal('secondFactorRequired', auditLog.outcome(false, { result: 'secondFactorRequired' }));
+      assert.equal('failed', auditLog.outcome(false, { message: 'No salt' }));
+    });
+  });
+
+  describe('#schema()', function () {
+    var findIndex = function (schema, fields) {
+      return schema.indexes().filter(function (index) {
+        return JSON.stringify(index[0]) === JSON.stringify(fields);
+      })[0];
+    };
+
+    it('should expire entries after the ttl', function () {
+      var schema = auditLog.schema(Schema, 'User', 86400000);
+
+      assert.equal(86400, findIndex(schema, { createdAt: 1 })[1].expireAfterSeconds);
+      assert.equal('User', schema.path('user').options.ref);
+    });
+
+    it('should keep entries without ttl', function () {
+      var schema = auditLog.schema(Schema, 'User', 0);
+
+      assert.equal(undefined, findIndex(schema, { createdAt: 1 })[1].expireAfterSeconds);
+    });
+
+    it('should index entries by user and ip', function () {
+      var schema = auditLog.schema(Schema, 'User', 0);
+
+      assert.ok(findIndex(schema, { user: 1, createdAt: -1 }));
+      assert.ok(findIndex(schema, { ip: 1, createdAt: -1 }));
+    });
+  });
+});
@@ -0,0 +1,100 @@
+var EventEmitter = require('events').EventEmitter;
+var events = require('../lib/events');
+var assert = require('assert');
+
+describe('events', function () {
+  describe('#emit()', function () {
+    it('should call every listener with the arguments', function () {
+      var emitter = new EventEmitter();
+      var calls = [];
+
+      emitter.on('registered', function (payload) {
+        calls.push(['first', payload]);
+      });
+      emitter.on('registered', function (payload) {
+        calls.push(['second', payload]);
+      });
+
+      events.emit(emitter, 'registered', { user: 'hugo' });
+
+      assert.deepEqual([
+        ['first', { user: 'hugo' }],
+        ['second', { user: 'hugo' }]
+      ], calls);
+    });
+
+    it('should remove listeners added with once', function () {
+      var emitter = new EventEmitter();
+      var calls = 0;
+
+      emitter.once('locked', function () {
+        calls++;
+      });
+
+      events.emit(emitter, 'locked', {});
+      events.emit(emitter, 'locked', {});
+
+      assert.equal(1, calls);
+      assert.equal(0, emitter.listenerCount('locked'));
+    });
+
+    it('should call the other listeners when one throws', function () {
+      var emitter = new EventEmitter();
+      var errors = [];
+      var called = false;
+
+      emitter.on('loginFailed', function () {
+        throw new Error('listener failed');
+      });
+      emitter.on('loginFailed', function () {
+        called = true;
+      });
+      emitter.on('error', function (err, event, payload) {
+        errors.push([err.message, event, payload]);
+      });
+
+      events.emit(emitter, 'loginFailed', { result: 'incorrectPassword' });
+
+      assert.ok(called);
+      assert.deepEqual([['listener failed', 'loginFailed', { result: 'incorrectPassword' }]], errors);
+    });
+
+    it('should ignore listener errors without error listeners', function () {
+      var emitter = new EventEmitter();
+
+      emitter.on('loginFailed', function () {
+        throw new Error('listener failed');
+      });
+
+      events.emit(emitter, 'loginFailed', {});
+    });
+
+    it('should ignore errors of error listeners', function () {
+      var emitter = new EventEmitter();
+
+      emitter.on('loginFailed', function () {
+        throw new Error('listener failed');
+      });
+      emitter.on('error', function () {
+        throw new Error('error listener failed');
+      });
+
+      events.emit(emitter, 'loginFailed', {});
+    });
+
+    it('should catch rejections of async listeners', function (done) {
+      var emitter = new EventEmitter();
+
+      emitter.on('loginSucceeded', function () {
+        return Promise.reject(new Error('listener failed'));
+      });
+      emitter.on('error', function (err, event) {
+        assert.equal('listener failed', err.message);
+        assert.equal('loginSucceeded', event);
+        done();
+      });
+
+      events.emit(emitter, 'loginSucceeded', {});
+    });
+  });
+});
@@ -0,0 +1,82 @@
+var hashers = require('../lib/hashers');
+var crypto = require('crypto');
+var assert = require('assert');
+var expect = require('chai').expect;
+
+describe('hashers', function () {
+  describe('#registry()', function () {
+    it('should contain the built-in pbkdf2 and scrypt hashers', function () {
+      var registry = hashers.registry();
+
+      assert.equal('function', typeof registry.pbkdf2.hash);
+      assert.equal('function', typeof registry.scrypt.hash);
+    });
+
+    it('should add custom hashers given as functions', function () {
+      var custom = function (password, salt, params, cb) {
+        cb(null, Buffer.from(password + salt));
+      };
+      var registry = hashers.registry({
+        custom: custom
+      });
+
+      assert.equal(custom, registry.custom.hash);
+      expect(registry.custom.params({
+        hashParams: {
+          rounds: 3
+        }
+      })).to.deep.equal({
+        rounds: 3
+      });
+    });
+
+    it('should throw if a custom hasher has no hash function', function () {
+      expect(function () {
+        hashers.registry({
+          broken: {}
+        });
+      }).to.throw(TypeError);
+    });
+  });
+
+  describe('pbkdf2', function () {
+    it('should derive the key with the given digest', function (done) {
+      var pbkdf2 = hashers.registry().pbkdf2;
+      var params = pbkdf2.params({
+        iterations: 1,
+        keylen: 32,
+        digest: 'sha512'
+      });
+
+      pbkdf2.hash('password', 'salt', params, function (err, hashRaw) {
+        assert.ifError(err);
+        assert.equal(crypto.pbkdf2Sync('password', 'salt', 1, 32, 'sha512').toString('hex'), hashRaw.toString('hex'));
+
+        done();
+      });
+    });
+  });
+
+  describe('scrypt', function () {
+    it('should derive the key with default cost parameters', function (done) {
+      var scrypt = hashers.registry().scrypt;
+      var params = scrypt.params({
+        keylen: 64
+      });
+
+      expect(params).to.deep.equal({
+        keylen: 64,
+        cost: 16384,
+        blockSize: 8,
+        parallelization: 1
+      });
+
+      scrypt.hash('password', 'salt', params, function (err, hashRaw) {
+        assert.ifError(err);
+        assert.equal(crypto.scryptSync('password', 'salt', 64).toString('hex'), hashRaw.toString('hex'));
+
+        done();
+      });
+    });
+  });
+});
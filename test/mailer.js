@@ -0,0 +1,128 @@
+var Mailer = require('../lib/mailer');
+var MemoryTransport = require('../lib/memorytransport');
+var passportEmail = require('../lib/passport-email');
+var assert = require('assert');
+var expect = require('chai').expect;
+
+describe('Mailer', function () {
+  it('should require a transport', function () {
+    expect(function () {
+      new Mailer({});
+    }).to.throw(TypeError);
+  });
+
+  it('should send rendered templates through the transport', function (done) {
+    var transport = new MemoryTransport();
+    var mailer = new Mailer({
+      transport: transport,
+      from: 'accounts@example.com'
+    });
+
+    mailer.send('verification', {
+      username: 'hugo',
+      email: 'hugo@example.com',
+      token: 'abc'
+    }, function (err, message) {
+      assert.ifError(err);
+      assert.equal(1, transport.sent.length);
+      assert.equal(message, transport.sent[0]);
+      assert.equal('accounts@example.com', message.from);
+      assert.equal('hugo@example.com', message.to);
+      assert.equal('verification', message.template);
+      assert.equal('Please verify your email address', message.subject);
+      assert.equal('Hello hugo,\n\nplease verify your email address: abc\n', message.text);
+
+      done();
+    });
+  });
+
+  it('should build links from the links option', function (done) {
+    var transport = new MemoryTransport();
+    var mailer = new Mailer({
+      transport: transport,
+      links: {
+        passwordReset: 'https://example.com/reset?token={{token}}'
+      }
+    });
+
+    mailer.send('passwordReset', {
+      email: 'hugo@example.com',
+      token: 'abc'
+    }, function (err, message) {
+      assert.ifError(err);
+      assert.ok(message.text.indexOf('https://example.com/reset?token=abc') !== -1);
+
+      done();
+    });
+  });
+
+  it('should use templates of the locale and fall back to the default locale', function (done) {
+    var transport = new MemoryTransport();
+    var mailer = new Mailer({
+      transport: transport,
+      templates: {
+        de: {
+          verification: {
+            subject: 'Bitte bestätige deine E-Mail-Adresse',
+            text: 'Hallo {{username}}: {{link}}'
+          }
+        }
+      }
+    });
+
+    mailer.send('verification', {
+      username: 'hugo',
+      email: 'hugo@example.com',
+      token: 'abc',
+      locale: 'de'
+    }, function (err, message) {
+      assert.ifError(err);
+      assert.equal('Hallo hugo: abc', message.text);
+
+      mailer.send('passwordReset', {
+        email: 'hugo@example.com',
+        token: 'abc',
+        locale: 'de'
+      }, function (err, message) {
+        assert.ifError(err);
+        assert.equal('Reset your password', message.subject);
+
+        done();
+      });
+    });
+  });
+
+  it('should support transports returning a promise', function (done) {
+    var mailer = new Mailer({
+      transport: {
+        send: function () {
+          return Promise.reject(new Error('SMTP is down'));
+        }
+      }
+    });
+
+    mailer.send('lockout', {
+      email: 'hugo@example.com'
+    }, function (err) {
+      assert.equal('SMTP is down', err.message);
+
+      done();
+    });
+  });
+
+  it('should yield an error for unknown templates', function (done) {
+    var mailer = new Mailer({
+      transport: new MemoryTransport()
+    });
+
+    mailer.send('newsletter', {}, function (err) {
+      assert.ok(err);
+
+      done();
+    });
+  });
+
+  it('should expose the memory transport on the plugin', function () {
+    assert.equal(MemoryTransport, passportEmail.MemoryTransport);
+  });
+});
@@ -0,0 +1,74 @@
+var MemoryStore = require('../lib/memorystore');
+var assert = require('assert');
+
+describe('MemoryStore', function () {
+  it('should count per key until the window ends', function (done) {
+    var store = new MemoryStore();
+
+    store.increment('a', 1000, function (err, counter) {
+      assert.ifError(err);
+      assert.equal(1, counter.count);
+      assert.ok(counter.resetAt > Date.now());
+
+      store.increment('a', 1000, function (err, counter) {
+        assert.ifError(err);
+        assert.equal(2, counter.count);
+
+        store.increment('b', 1000, function (err, counter) {
+          assert.ifError(err);
+          assert.equal(1, counter.count);
+
+          done();
+        });
+      });
+    });
+  });
+
+  it('should start over after the window', function (done) {
+    var store = new MemoryStore();
+
+    store.increment('a', 1000, function (err) {
+      assert.ifError(err);
+
+      store.counters.a.resetAt = Date.now() - 1;
+
+      store.increment('a', 1000, function (err, counter) {
+        assert.ifError(err);
+        assert.equal(1, counter.count);
+
+        done();
+      });
+    });
+  });
+
+  it('should decrement counters', function (done) {
+    var store = new MemoryStore();
+
+    store.increment('a', 1000, function (err) {
+      assert.ifError(err);
+
+      store.decrement('a', function (err) {
+        assert.ifError(err);
+
+        store.increment('a', 1000, function (err, counter) {
+          assert.ifError(err);
+          assert.equal(1, counter.count);
+
+          done();
+        });
+      });
+    });
+  });
+
+  it('should prune expired counters', function () {
+    var store = new MemoryStore();
+    store.counters = {
+      old: { count: 1, resetAt: 10 },
+      current: { count: 1, resetAt: 30 }
+    };
+
+    store.prune(20);
+
+    assert.deepEqual(['current'], Object.keys(store.counters));
+  });
+});
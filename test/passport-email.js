@@ -3,6 +3,7 @@ var Schema = mongoose.Schema;
 var BadRequestError = require('../lib/badrequesterror');
 var passportEmail = require('../lib/passport-email');
 var assert = require('assert');
+var crypto = require('crypto');
 var expect = require('chai').expect;
 var mongotest = require('./mongotest');
 
@@ -164,6 +165,17 @@ describe('passportEmail', function () {
       });
     });
 
+    it('should reject the returned promise if password is undefined', function () {
+      var user = new DefaultUser();
+
+      return user.setPassword(undefined).then(function () {
+        throw new Error('Expected setPassword to reject');
+      }, function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.name).to.equal('missingPassword');
+      });
+    });
+
     it('should set salt and hash', function (done) {
       this.timeout(5000); // Five seconds - heavy crypto in background
 
@@ -192,197 +204,3498 @@ describe('passportEmail', function () {
     });
   });
 
-  describe('#authenticate()', function () {
-    it('should yield false in case user cannot be authenticated', function (done) {
-      this.timeout(5000); // Five seconds - heavy crypto in background
+  describe('#setPassword() with passwordPolicy', function () {
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      passwordPolicy: {
+        minLength: 8,
+        requireDigit: true,
+        forbidUsername: true
+      }
+    });
+    var User = mongoose.model('PasswordPolicyUser', UserSchema);
 
-      var user = new DefaultUser();
+    it('should yield a BadRequestError listing each failed rule', function (done) {
+      var user = new User({
+        username: 'hugo'
+      });
 
-      setPasswordAndAuthenticate(user, 'password', 'nopassword', function (err, result) {
+      user.setPassword('hugo', function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.name).to.equal('passwordPolicy');
+        expect(err.failures.map(function (failure) {
+          return failure.name;
+        })).to.deep.equal(['passwordTooShort', 'passwordMissingDigit', 'passwordContainsUsername']);
+        expect(err.failures[0].message).to.equal('Password must be at least 8 characters long');
+        assert.ok(!user.hash);
+
+        done();
+      });
+    });
+
+    it('should set passwords meeting the policy', function (done) {
+      var user = new User({
+        username: 'hugo'
+      });
+
+      setPasswordAndAuthenticate(user, 'correct horse 1', 'correct horse 1', function (err, result) {
         assert.ifError(err);
-        assert.ok(result === false);
+        assert.equal(user, result);
 
         done();
       });
     });
+  });
 
-    it('should supply a message when authentication fails', function (done) {
-      this.timeout(5000); // Five seconds - heavy crypto in background
+  describe('#setPassword() with passwordHistory', function () {
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      passwordHistory: 2
+    });
+    var User = mongoose.model('PasswordHistoryUser', UserSchema);
 
-      var user = new DefaultUser();
+    var setPasswords = function (user, passwords, cb) {
+      if (!passwords.length) {
+        return cb(null, user);
+      }
 
-      setPasswordAndAuthenticate(user, 'password', 'nopassword', function (err, result, options) {
+      user.setPassword(passwords[0], function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        setPasswords(user, passwords.slice(1), cb);
+      });
+    };
+
+    it('should reject the current and the remembered previous passwords', function (done) {
+      var user = new User();
+
+      setPasswords(user, ['first', 'second', 'third', 'fourth'], function (err) {
         assert.ifError(err);
-        assert.ok(options.message);
+        assert.equal(2, user.passwordHistory.length);
+
+        user.setPassword('fourth', function (err) {
+          expect(err).to.be.instanceof(BadRequestError);
+          expect(err.name).to.equal('passwordReused');
+
+          user.setPassword('second', function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('passwordReused');
+
+            user.setPassword('first', function (err) {
+              assert.ifError(err);
+
+              user.authenticate('first', function (err, result) {
+                assert.ifError(err);
+                assert.equal(user, result);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should keep the history out of toJSON', function (done) {
+      var user = new User();
+
+      setPasswords(user, ['first', 'second'], function (err) {
+        assert.ifError(err);
+        assert.equal(1, user.passwordHistory.length);
+        assert.ok(user.toJSON().hash);
+        assert.equal(undefined, user.toJSON().passwordHistory);
 
         done();
       });
     });
+
+    it('should keep a toJSON transform of the schema', function () {
+      var UserSchema = new Schema({}, {
+        toJSON: {
+          transform: function (doc, ret) {
+            delete ret.hash;
+          }
+        }
+      });
+      UserSchema.plugin(passportEmail, {
+        passwordHistory: 2
+      });
+      var User = mongoose.model('PasswordHistoryUserWithTransform', UserSchema);
+
+      var user = new User({
+        hash: 'hash',
+        passwordHistory: [{
+          hash: 'previous'
+        }]
+      });
+
+      assert.equal(undefined, user.toJSON().hash);
+      assert.equal(undefined, user.toJSON().passwordHistory);
+    });
   });
 
-  describe('static #authenticate()', function () {
-    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
-    afterEach(mongotest.disconnect());
+  describe('password expiry', function () {
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      expirePasswords: true,
+      passwordMaxAge: 1000
+    });
+    var User = mongoose.model('ExpiringPasswordUser', UserSchema);
 
-    it('should yield false with message option for authenticate', function (done) {
-      this.timeout(5000); // Five seconds - mongo db access needed
+    it('should stamp the time the password was changed', function (done) {
+      var user = new User({
+        mustChangePassword: true
+      });
 
-      DefaultUser.authenticate()('user', 'password', function (err, result, options) {
+      user.setPassword('password', function (err) {
         assert.ifError(err);
-        assert.ok(result === false);
-        assert.ok(options.message);
+        assert.ok(Date.now() - user.passwordChanged.getTime() < 1000);
+        assert.strictEqual(false, user.mustChangePassword);
 
         done();
       });
     });
 
-    it('should authenticate existing user with matching password', function (done) {
-      this.timeout(5000); // Five seconds - mongo db access needed
+    it('should authenticate users with an expired password with a passwordExpired result', function (done) {
+      var user = new User();
 
-      var user = new DefaultUser({
-        username: 'user',
-        email: 'email'
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+
+        user.passwordChanged = new Date(Date.now() - 2000);
+        user.authenticate('password', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal(user, result);
+          assert.equal('passwordExpired', info.result);
+
+          done();
+        });
       });
+    });
+
+    it('should authenticate users that have to change their password with a passwordChangeRequired result', function (done) {
+      var user = new User();
+
       user.setPassword('password', function (err) {
         assert.ifError(err);
 
-        user.save(function (err) {
+        user.mustChangePassword = true;
+        user.authenticate('password', function (err, result, info) {
           assert.ifError(err);
+          assert.equal(user, result);
+          assert.equal('passwordChangeRequired', info.result);
 
-          DefaultUser.authenticate()('user', 'password', function (err, result) {
+          done();
+        });
+      });
+    });
+
+    it('should not report current passwords or wrong passwords as expired', function (done) {
+      var user = new User();
+
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err, result, info) {
+        assert.ifError(err);
+        assert.equal(user, result);
+        assert.ok(!info);
+
+        user.passwordChanged = new Date(Date.now() - 2000);
+        user.authenticate('wrongpassword', function (err, result, info) {
+          assert.ifError(err);
+          assert.ok(result === false);
+          assert.equal('incorrectPassword', info.result);
+
+          done();
+        });
+      });
+    });
+
+    describe('with selectFields', function () {
+      beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+      afterEach(mongotest.disconnect());
+
+      var SelectFieldsSchema = new Schema({});
+      SelectFieldsSchema.plugin(passportEmail, {
+        iterations: 1,
+        expirePasswords: true,
+        selectFields: 'username email hash salt'
+      });
+      var SelectFieldsUser = mongoose.model('ExpiringPasswordSelectFieldsUser', SelectFieldsSchema);
+
+      it('should load the password expiry fields left out by selectFields', function (done) {
+        this.timeout(5000); // Five seconds - mongo db access needed
+
+        SelectFieldsUser.register({
+          username: 'hugo',
+          email: 'hugo@example.com'
+        }, 'password', function (err, user) {
+          assert.ifError(err);
+
+          user.mustChangePassword = true;
+          user.save(function (err) {
             assert.ifError(err);
 
-            assert.ok(result instanceof DefaultUser);
-            assert.equal(user.username, result.username);
-            assert.equal(user.salt, result.salt);
-            assert.equal(user.hash, result.hash);
+            SelectFieldsUser.authenticate()('hugo', 'password', function (err, result, info) {
+              assert.ifError(err);
+              assert.equal('hugo', result.username);
+              assert.equal('passwordChangeRequired', info.result);
 
-            done();
+              done();
+            });
           });
         });
       });
     });
+  });
 
-    it('should authenticate existing user with case insensitive username with matching password', function (done) {
-      this.timeout(5000); // Five seconds - mongo db access needed
+  describe('#authenticate() with requireVerifiedEmail', function () {
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      requireVerifiedEmail: true
+    });
+    var User = mongoose.model('RequireVerifiedEmailUser', UserSchema);
 
-      var UserSchema = new Schema();
-      UserSchema.plugin(passportEmail, {
-        usernameLowerCase: true
+    it('should refuse users with unverified email', function (done) {
+      var user = new User();
+
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err, result, info) {
+        assert.ifError(err);
+        assert.ok(result === false);
+        assert.equal('emailNotVerified', info.result);
+
+        done();
       });
-      var User = mongoose.model('AuthenticateWithCaseInsensitiveUsername', UserSchema);
+    });
 
-      var username = 'userName';
-      User.register({
-        username: username,
-        email: 'email'
-      }, 'password', function (err, user) {
+    it('should report wrong passwords of unverified users as such', function (done) {
+      var user = new User();
+
+      setPasswordAndAuthenticate(user, 'password', 'wrongpassword', function (err, result, info) {
         assert.ifError(err);
+        assert.ok(result === false);
+        assert.equal('incorrectPassword', info.result);
 
-        User.authenticate()('username', 'password', function (err, result) {
-          assert.ifError(err);
+        done();
+      });
+    });
 
-          assert.ok(result instanceof User);
-          assert.equal(result.username, 'username');
+    it('should authenticate users with verified email', function (done) {
+      var user = new User({
+        verified: true
+      });
 
-          done();
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err, result) {
+        assert.ifError(err);
+        assert.equal(user, result);
+
+        done();
+      });
+    });
+  });
+
+  describe('hash algorithms', function () {
+    it('should record the algorithm and parameters of the hash', function (done) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        digest: 'sha512'
+      });
+      var User = mongoose.model('HashParamsRecorded', UserSchema);
+
+      var user = new User();
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+        expect(user.hashParams).to.deep.equal({
+          iterations: 1,
+          keylen: 512,
+          digest: 'sha512',
+          algorithm: 'pbkdf2'
         });
+
+        done();
       });
     });
 
-    it('should authenticate existing user with matching password with field overrides', function (done) {
-      this.timeout(5000); // Five seconds - mongo db access needed
+    it('should authenticate user hashed with scrypt', function (done) {
+      this.timeout(5000); // Five seconds - heavy crypto in background
 
-      var UserSchema = new Schema();
+      var UserSchema = new Schema({});
       UserSchema.plugin(passportEmail, {
-        usernameField: 'usernameNew',
-        hashField: 'hashValue',
-        saltField: 'saltValue'
+        algorithm: 'scrypt',
+        keylen: 64
       });
-      var User = mongoose.model('AuthenticateWithFieldOverrides', UserSchema);
+      var User = mongoose.model('ScryptHashedUser', UserSchema);
 
-      var usernameNew = 'usernameUsedAsUsername';
-      User.register({
-        usernameNew: usernameNew,
-        email: 'email'
-      }, 'password', function (err, user) {
+      var user = new User();
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err, result) {
+        assert.ifError(err);
+        assert.equal('scrypt', user.hashParams.algorithm);
+        assert.equal(user, result);
+
+        done();
+      });
+    });
+
+    it('should authenticate user hashed with a custom hasher', function (done) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        algorithm: 'reverse',
+        hashers: {
+          reverse: function (password, salt, params, cb) {
+            cb(null, Buffer.from(salt + password.split('').reverse().join('')));
+          }
+        }
+      });
+      var User = mongoose.model('CustomHashedUser', UserSchema);
+
+      var user = new User();
+      setPasswordAndAuthenticate(user, 'password', 'nopassword', function (err, result) {
         assert.ifError(err);
+        assert.ok(result === false);
 
-        User.authenticate()(usernameNew, 'password', function (err, result) {
+        user.authenticate('password', function (err, result) {
           assert.ifError(err);
-
-          assert.ok(result instanceof User);
-          assert.equal(user.usernameNew, result.usernameNew);
-          assert.equal(user.saltValue, result.saltValue);
-          assert.equal(user.hashValue, result.hashValue);
+          assert.equal(user, result);
 
           done();
         });
       });
     });
 
-    it('should not authenticate existing user with non matching password', function (done) {
-      this.timeout(5000); // Five seconds - mongo db access needed
+    it('should verify each user with the algorithm recorded on it', function (done) {
+      this.timeout(5000); // Five seconds - heavy crypto in background
 
-      var user = new DefaultUser({
-        username: 'user',
-        email: 'email'
-      });
+      var user = new DefaultUser();
       user.setPassword('password', function (err) {
         assert.ifError(err);
 
-        user.save(function (err) {
-          assert.ifError(err);
+        var UserSchema = new Schema({});
+        UserSchema.plugin(passportEmail, {
+          algorithm: 'scrypt',
+          keylen: 64,
+          rehashOnLogin: false
+        });
+        var User = mongoose.model('ScryptUserWithPbkdf2Hash', UserSchema);
 
-          DefaultUser.authenticate()('user', 'wrongpassword', function (err, result, options) {
-            assert.ifError(err);
-            assert.equal(result, false);
-            assert.ok(options.message);
+        var migrated = new User({
+          hash: user.hash,
+          salt: user.salt,
+          hashParams: user.hashParams
+        });
+        migrated.authenticate('password', function (err, result) {
+          assert.ifError(err);
+          assert.equal(migrated, result);
 
-            done();
-          });
+          done();
         });
       });
     });
 
-    it('should lock authenticate after too many login attempts', function (done) {
-      this.timeout(5000); // Five seconds - mongo db access needed
+    it('should verify hashes without recorded parameters as pbkdf2 with sha1', function (done) {
+      this.timeout(5000); // Five seconds - heavy crypto in background
 
       var UserSchema = new Schema({});
       UserSchema.plugin(passportEmail, {
-        limitAttempts: true,
-        interval: 20000
-      }); // High initial value for test
-
-      var User = mongoose.model('LockUserAfterLimitAttempts', UserSchema);
+        rehashOnLogin: false
+      });
+      var User = mongoose.model('UserWithoutHashParams', UserSchema);
 
+      var salt = 'salt';
+      var hash = crypto.pbkdf2Sync('password', salt, 25000, 512, 'sha1').toString('hex');
       var user = new User({
-        username: 'user',
-        email: 'email'
+        hash: hash,
+        salt: salt
       });
-      user.setPassword('password', function (err) {
+
+      user.authenticate('password', function (err, result) {
         assert.ifError(err);
+        assert.equal(user, result);
 
-        user.save(function (err) {
-          assert.ifError(err);
+        done();
+      });
+    });
 
-          User.authenticate()('user', 'WRONGpassword', function (err, result, message) {
-            expect(err).to.not.exist;
-            expect(result).to.be.false;
+    it('should throw on unknown algorithm', function () {
+      var UserSchema = new Schema({});
 
-            User.authenticate()('user', 'WRONGpassword', function (err, result, message) {
+      expect(function () {
+        UserSchema.plugin(passportEmail, {
+          algorithm: 'rot13'
+        });
+      }).to.throw(Error);
+    });
+  });
+
+  describe('pepper', function () {
+    var pepperedUser = function (modelName, pepper) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        pepper: pepper,
+        rehashOnLogin: false
+      });
+
+      return mongoose.model(modelName, UserSchema);
+    };
+
+    it('should record the id of the pepper key', function (done) {
+      var User = pepperedUser('PepperKeyRecorded', {
+        current: 'v2',
+        keys: {
+          v1: 'secret1',
+          v2: 'secret2'
+        }
+      });
+
+      var user = new User();
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err, result) {
+        assert.ifError(err);
+        assert.equal(user, result);
+        assert.equal('v2', user.hashParams.pepper);
+
+        done();
+      });
+    });
+
+    it('should not authenticate without the pepper key the hash was made with', function (done) {
+      var User = pepperedUser('PepperedWithSecret', 'secret');
+      var OtherUser = pepperedUser('PepperedWithOtherSecret', 'other secret');
+
+      var user = new User();
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+
+        var otherUser = new OtherUser({
+          hash: user.hash,
+          salt: user.salt,
+          hashParams: user.hashParams
+        });
+        otherUser.authenticate('password', function (err, result) {
+          assert.ifError(err);
+          assert.ok(result === false);
+
+          done();
+        });
+      });
+    });
+
+    it('should yield an error if the pepper key of the hash is unknown', function (done) {
+      var User = pepperedUser('PepperKeyUnknown', 'secret');
+
+      var user = new User({
+        hash: 'hash',
+        salt: 'salt',
+        hashParams: {
+          algorithm: 'pbkdf2',
+          iterations: 1,
+          keylen: 512,
+          digest: 'sha256',
+          pepper: 'retired'
+        }
+      });
+      user.authenticate('password', function (err) {
+        assert.ok(err);
+
+        done();
+      });
+    });
+
+    it('should throw if the current pepper key is not configured', function () {
+      var UserSchema = new Schema({});
+
+      expect(function () {
+        UserSchema.plugin(passportEmail, {
+          pepper: {
+            current: 'v3',
+            keys: {
+              v1: 'secret1'
+            }
+          }
+        });
+      }).to.throw(Error);
+    });
+  });
+
+  describe('#authenticate()', function () {
+    it('should yield false in case user cannot be authenticated', function (done) {
+      this.timeout(5000); // Five seconds - heavy crypto in background
+
+      var user = new DefaultUser();
+
+      setPasswordAndAuthenticate(user, 'password', 'nopassword', function (err, result) {
+        assert.ifError(err);
+        assert.ok(result === false);
+
+        done();
+      });
+    });
+
+    it('should derive a hash even if no salt is stored', function (done) {
+      var hashed = 0;
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        algorithm: 'counting',
+        hashers: {
+          counting: function (password, salt, params, cb) {
+            hashed++;
+            cb(null, Buffer.from(salt + password));
+          }
+        }
+      });
+      var User = mongoose.model('DummyHashWithoutSalt', UserSchema);
+
+      var user = new User();
+      user.authenticate('password', function (err, result, options) {
+        assert.ifError(err);
+        assert.ok(result === false);
+        assert.ok(options.message);
+        assert.equal(1, hashed);
+
+        done();
+      });
+    });
+
+    it('should not authenticate with a hash that only shares a prefix with the stored one', function (done) {
+      this.timeout(5000); // Five seconds - heavy crypto in background
+
+      var user = new DefaultUser();
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+
+        user.hash = user.hash + '00';
+        user.authenticate('password', function (err, result) {
+          assert.ifError(err);
+          assert.ok(result === false);
+
+          done();
+        });
+      });
+    });
+
+    it('should supply a message when authentication fails', function (done) {
+      this.timeout(5000); // Five seconds - heavy crypto in background
+
+      var user = new DefaultUser();
+
+      setPasswordAndAuthenticate(user, 'password', 'nopassword', function (err, result, options) {
+        assert.ifError(err);
+        assert.ok(options.message);
+
+        done();
+      });
+    });
+  });
+
+  describe('#authenticate() without callback', function () {
+    it('should resolve with the user if authentication succeeds', function () {
+      this.timeout(5000); // Five seconds - heavy crypto in background
+
+      var user = new DefaultUser();
+
+      return user.setPassword('password').then(function () {
+        return user.authenticate('password');
+      }).then(function (result) {
+        assert.equal(user, result.user);
+        assert.ok(!result.info);
+      });
+    });
+
+    it('should resolve with false and the reason if authentication fails', function () {
+      this.timeout(5000); // Five seconds - heavy crypto in background
+
+      var user = new DefaultUser();
+
+      return user.setPassword('password').then(function () {
+        return user.authenticate('nopassword');
+      }).then(function (result) {
+        assert.ok(result.user === false);
+        assert.equal('incorrectPassword', result.info.result);
+      });
+    });
+  });
+
+  describe('static #authenticate()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    it('should yield false with message option for authenticate', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      DefaultUser.authenticate()('user', 'password', function (err, result, options) {
+        assert.ifError(err);
+        assert.ok(result === false);
+        assert.ok(options.message);
+
+        done();
+      });
+    });
+
+    it('should derive a hash for unknown users', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var hashed = 0;
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        algorithm: 'counting',
+        hashers: {
+          counting: function (password, salt, params, cb) {
+            hashed++;
+            cb(null, Buffer.from(salt + password));
+          }
+        }
+      });
+      var User = mongoose.model('DummyHashForUnknownUser', UserSchema);
+
+      User.authenticate()('unknown', 'password', function (err, result, options) {
+        assert.ifError(err);
+        assert.ok(result === false);
+        assert.equal('incorrectUsername', options.result);
+        assert.equal(1, hashed);
+
+        done();
+      });
+    });
+
+    it('should authenticate existing user with matching password', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var user = new DefaultUser({
+        username: 'user',
+        email: 'email'
+      });
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+
+        user.save(function (err) {
+          assert.ifError(err);
+
+          DefaultUser.authenticate()('user', 'password', function (err, result) {
+            assert.ifError(err);
+
+            assert.ok(result instanceof DefaultUser);
+            assert.equal(user.username, result.username);
+            assert.equal(user.salt, result.salt);
+            assert.equal(user.hash, result.hash);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should authenticate existing user with case insensitive username with matching password', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema();
+      UserSchema.plugin(passportEmail, {
+        usernameLowerCase: true
+      });
+      var User = mongoose.model('AuthenticateWithCaseInsensitiveUsername', UserSchema);
+
+      var username = 'userName';
+      User.register({
+        username: username,
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()('username', 'password', function (err, result) {
+          assert.ifError(err);
+
+          assert.ok(result instanceof User);
+          assert.equal(result.username, 'username');
+
+          done();
+        });
+      });
+    });
+
+    it('should authenticate existing user with matching password with field overrides', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema();
+      UserSchema.plugin(passportEmail, {
+        usernameField: 'usernameNew',
+        hashField: 'hashValue',
+        saltField: 'saltValue'
+      });
+      var User = mongoose.model('AuthenticateWithFieldOverrides', UserSchema);
+
+      var usernameNew = 'usernameUsedAsUsername';
+      User.register({
+        usernameNew: usernameNew,
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()(usernameNew, 'password', function (err, result) {
+          assert.ifError(err);
+
+          assert.ok(result instanceof User);
+          assert.equal(user.usernameNew, result.usernameNew);
+          assert.equal(user.saltValue, result.saltValue);
+          assert.equal(user.hashValue, result.hashValue);
+
+          done();
+        });
+      });
+    });
+
+    it('should resolve with the user if no callback is given', function () {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      return DefaultUser.register({
+        username: 'user',
+        email: 'email'
+      }, 'password').then(function () {
+        return DefaultUser.authenticate()('email', 'password');
+      }).then(function (result) {
+        assert.ok(result.user instanceof DefaultUser);
+        assert.equal('user', result.user.username);
+      });
+    });
+
+    it('should not authenticate existing user with non matching password', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var user = new DefaultUser({
+        username: 'user',
+        email: 'email'
+      });
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+
+        user.save(function (err) {
+          assert.ifError(err);
+
+          DefaultUser.authenticate()('user', 'wrongpassword', function (err, result, options) {
+            assert.ifError(err);
+            assert.equal(result, false);
+            assert.ok(options.message);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should lock authenticate after too many login attempts', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        limitAttempts: true,
+        interval: 20000
+      }); // High initial value for test
+
+      var User = mongoose.model('LockUserAfterLimitAttempts', UserSchema);
+
+      var user = new User({
+        username: 'user',
+        email: 'email'
+      });
+      user.setPassword('password', function (err) {
+        assert.ifError(err);
+
+        user.save(function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('user', 'WRONGpassword', function (err, result, message) {
+            expect(err).to.not.exist;
+            expect(result).to.be.false;
+
+            User.authenticate()('user', 'WRONGpassword', function (err, result, message) {
               expect(err).to.not.exist;
               expect(result).to.be.false;
 
-              User.authenticate()('user', 'WRONGpassword', function (err, result, message) {
-                expect(err).to.not.exist;
-                expect(result).to.be.false;
+              User.authenticate()('user', 'WRONGpassword', function (err, result, message) {
+                expect(err).to.not.exist;
+                expect(result).to.be.false;
+
+                // Last login attempt should lock the user!
+                User.authenticate()('user', 'password', function (err, result, message) {
+                  debugger;
+                  expect(err).to.not.exist;
+                  expect(result).to.be.false;
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+
+  describe('rehash on login', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var createUserWithHash = function (User, params, cb) {
+      var salt = crypto.randomBytes(32).toString('hex');
+      var user = new User({
+        username: 'user',
+        email: 'email',
+        salt: salt,
+        hash: crypto.pbkdf2Sync('password', salt, params.iterations, params.keylen, params.digest).toString('hex'),
+        hashParams: params
+      });
+
+      user.save(function (err) {
+        cb(err, user);
+      });
+    };
+
+    it('should rehash and save the password if the hashing options changed', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var rehashed = [];
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 2,
+        onRehash: function (user, previous, current) {
+          rehashed.push([user, previous, current]);
+        }
+      });
+      var User = mongoose.model('RehashOnLogin', UserSchema);
+
+      createUserWithHash(User, {
+        algorithm: 'pbkdf2',
+        iterations: 1,
+        keylen: 512,
+        digest: 'sha256'
+      }, function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()('user', 'password', function (err, result) {
+          assert.ifError(err);
+          assert.ok(result);
+          assert.equal(1, rehashed.length);
+          assert.equal(1, rehashed[0][1].iterations);
+          assert.equal(2, rehashed[0][2].iterations);
+          assert.notEqual(user.hash, result.hash);
+
+          User.findByUsername('user', function (err, stored) {
+            assert.ifError(err);
+            assert.equal(2, stored.hashParams.iterations);
+            assert.equal(result.hash, stored.hash);
+
+            stored.authenticate('password', function (err, result) {
+              assert.ifError(err);
+              assert.ok(result);
+              assert.equal(1, rehashed.length);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should keep the login if the rehashed user cannot be saved', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var failSave = false;
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 2
+      });
+      UserSchema.pre('save', function (next) {
+        next(failSave ? new Error('db down') : undefined);
+      });
+      var User = mongoose.model('RehashSaveFails', UserSchema);
+
+      var errors = [];
+      User.accountEvents().on('error', function (err, event, payload) {
+        errors.push([err.message, event, payload.user.username]);
+      });
+
+      createUserWithHash(User, {
+        algorithm: 'pbkdf2',
+        iterations: 1,
+        keylen: 512,
+        digest: 'sha256'
+      }, function (err, user) {
+        assert.ifError(err);
+        failSave = true;
+
+        User.authenticate()('user', 'password', function (err, result) {
+          assert.ifError(err);
+          assert.equal('user', result.username);
+          assert.deepEqual([['db down', 'rehash', 'user']], errors);
+
+          User.findByUsername('user', function (err, stored) {
+            assert.ifError(err);
+            assert.equal(user.hash, stored.hash);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should keep the login if onRehash throws', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 2,
+        onRehash: function () {
+          throw new Error('boom');
+        }
+      });
+      var User = mongoose.model('RehashCallbackThrows', UserSchema);
+
+      var errors = [];
+      User.accountEvents().on('error', function (err, event) {
+        errors.push([err.message, event]);
+      });
+
+      createUserWithHash(User, {
+        algorithm: 'pbkdf2',
+        iterations: 1,
+        keylen: 512,
+        digest: 'sha256'
+      }, function (err) {
+        assert.ifError(err);
+
+        User.authenticate()('user', 'password', function (err, result) {
+          assert.ifError(err);
+          assert.equal('user', result.username);
+          assert.deepEqual([['boom', 'rehash']], errors);
+
+          done();
+        });
+      });
+    });
+
+    it('should not rehash if the password is wrong', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 2,
+        onRehash: function () {
+          done(new Error('Unexpected rehash'));
+        }
+      });
+      var User = mongoose.model('NoRehashOnFailedLogin', UserSchema);
+
+      createUserWithHash(User, {
+        algorithm: 'pbkdf2',
+        iterations: 1,
+        keylen: 512,
+        digest: 'sha256'
+      }, function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()('user', 'wrongpassword', function (err, result) {
+          assert.ifError(err);
+          assert.ok(result === false);
+
+          User.findByUsername('user', function (err, stored) {
+            assert.ifError(err);
+            assert.equal(user.hash, stored.hash);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should upgrade hashes peppered with an old key even if rehashOnLogin is disabled', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var pepper = {
+        current: 'v1',
+        keys: {
+          v1: 'secret1'
+        }
+      };
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        pepper: pepper,
+        rehashOnLogin: false
+      });
+      var User = mongoose.model('PepperKeyRotation', UserSchema);
+
+      User.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+        assert.equal('v1', user.hashParams.pepper);
+
+        pepper.keys.v2 = 'secret2';
+        pepper.current = 'v2';
+
+        User.authenticate()('user', 'password', function (err, result) {
+          assert.ifError(err);
+          assert.ok(result);
+
+          User.findByUsername('user', function (err, stored) {
+            assert.ifError(err);
+            assert.equal('v2', stored.hashParams.pepper);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not rehash if rehashOnLogin is disabled', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 2,
+        rehashOnLogin: false
+      });
+      var User = mongoose.model('RehashOnLoginDisabled', UserSchema);
+
+      createUserWithHash(User, {
+        algorithm: 'pbkdf2',
+        iterations: 1,
+        keylen: 512,
+        digest: 'sha256'
+      }, function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()('user', 'password', function (err, result) {
+          assert.ifError(err);
+          assert.equal(user.hash, result.hash);
+          assert.equal(1, result.hashParams.iterations);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#changePassword()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    it('should change and save the password if the old one is correct', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1
+      });
+      var User = mongoose.model('ChangePassword', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.changePassword('password', 'newpassword', function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('hugo', 'newpassword', function (err, result) {
+            assert.ifError(err);
+            assert.ok(result);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should result in an incorrectOldPassword error if the old password is wrong', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1
+      });
+      var User = mongoose.model('ChangePasswordWithWrongPassword', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.changePassword('wrongpassword', 'newpassword').then(function () {
+          throw new Error('Expected changePassword to reject');
+        }, function (err) {
+          expect(err).to.be.instanceof(BadRequestError);
+          expect(err.name).to.equal('incorrectOldPassword');
+
+          User.authenticate()('hugo', 'newpassword', function (err, result) {
+            assert.ifError(err);
+            assert.ok(result === false);
+
+            done();
+          });
+        }).catch(done);
+      });
+    });
+
+    it('should apply the password policy', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        passwordPolicy: {
+          minLength: 8
+        }
+      });
+      var User = mongoose.model('ChangePasswordWithPolicy', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.changePassword('password', 'short', function (err) {
+          expect(err).to.be.instanceof(BadRequestError);
+          expect(err.name).to.equal('passwordPolicy');
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('static #createResetToken() and #resetPassword()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      passwordReset: true
+    });
+    var User = mongoose.model('ResetPassword', UserSchema);
+
+    var registerAndCreateResetToken = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        if (err) {
+          return cb(err);
+        }
+
+        User.createResetToken('hugo@example.com', cb);
+      });
+    };
+
+    it('should reset the password with a token created for the email', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerAndCreateResetToken(function (err, token, user) {
+        assert.ifError(err);
+        assert.ok(token);
+        assert.equal('hugo', user.username);
+        assert.notEqual(token, user.resetToken);
+        assert.equal(undefined, user.toJSON().resetToken);
+
+        User.resetPassword(token, 'newpassword', function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('hugo', 'newpassword', function (err, result) {
+            assert.ifError(err);
+            assert.ok(result);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should resolve with the token and user if no callback is given', function () {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      return User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password').then(function () {
+        return User.createResetToken('hugo');
+      }).then(function (result) {
+        assert.ok(result.token);
+        assert.equal('hugo', result.user.username);
+
+        return User.resetPassword(result.token, 'newpassword');
+      }).then(function (user) {
+        assert.equal('hugo', user.username);
+      });
+    });
+
+    it('should result in a userNotFound error for unknown users', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.createResetToken('nobody', function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.name).to.equal('userNotFound');
+
+        done();
+      });
+    });
+
+    it('should result in a resetTokenInvalid error for unknown tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerAndCreateResetToken(function (err) {
+        assert.ifError(err);
+
+        User.resetPassword('unknown', 'newpassword', function (err) {
+          expect(err).to.be.instanceof(BadRequestError);
+          expect(err.name).to.equal('resetTokenInvalid');
+
+          done();
+        });
+      });
+    });
+
+    it('should result in a resetTokenUsed error for used tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerAndCreateResetToken(function (err, token) {
+        assert.ifError(err);
+
+        User.resetPassword(token, 'newpassword', function (err) {
+          assert.ifError(err);
+
+          User.resetPassword(token, 'otherpassword', function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('resetTokenUsed');
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should let only one of concurrent requests use a token', function () {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      return User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password').then(function () {
+        return User.createResetToken('hugo');
+      }).then(function (result) {
+        var attempt = function (password) {
+          return User.resetPassword(result.token, password).then(function () {
+            return 'reset';
+          }, function (err) {
+            return err.name;
+          });
+        };
+
+        return Promise.all([attempt('firstpassword'), attempt('secondpassword')]);
+      }).then(function (outcomes) {
+        assert.deepEqual(['reset', 'resetTokenUsed'], outcomes.sort());
+      });
+    });
+
+    it('should not use the token up on a password the policy refuses', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var PolicySchema = new Schema({});
+      PolicySchema.plugin(passportEmail, {
+        iterations: 1,
+        passwordReset: true,
+        passwordPolicy: {
+          minLength: 8
+        }
+      });
+      var PolicyUser = mongoose.model('ResetPasswordPolicy', PolicySchema);
+
+      PolicyUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        PolicyUser.createResetToken('hugo', function (err, token) {
+          assert.ifError(err);
+
+          PolicyUser.resetPassword(token, 'short', function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('passwordPolicy');
+
+            PolicyUser.resetPassword(token, 'newpassword', function (err, user) {
+              assert.ifError(err);
+              assert.equal('hugo', user.username);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should result in a resetTokenExpired error for expired tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerAndCreateResetToken(function (err, token, user) {
+        assert.ifError(err);
+
+        user.resetExpires = new Date(Date.now() - 1000);
+        user.save(function (err) {
+          assert.ifError(err);
+
+          User.resetPassword(token, 'newpassword', function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('resetTokenExpired');
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should invalidate tokens when the password changes', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerAndCreateResetToken(function (err, token, user) {
+        assert.ifError(err);
+
+        user.changePassword('password', 'newpassword', function (err) {
+          assert.ifError(err);
+
+          User.resetPassword(token, 'otherpassword', function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('resetTokenInvalid');
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('static #verifyEmail() and #resendVerification()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      requireVerifiedEmail: true
+    });
+    var User = mongoose.model('VerifyEmail', UserSchema);
+
+    it('should register users unverified with a verification token', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user, token) {
+        assert.ifError(err);
+        assert.strictEqual(false, user.verified);
+        assert.ok(token);
+        assert.equal(undefined, user.toJSON().verifyToken);
+
+        User.authenticate()('hugo', 'password', function (err, result, info) {
+          assert.ifError(err);
+          assert.ok(result === false);
+          assert.equal('emailNotVerified', info.result);
+
+          User.verifyEmail(token, function (err, user) {
+            assert.ifError(err);
+            assert.strictEqual(true, user.verified);
+
+            User.authenticate()('hugo', 'password', function (err, result) {
+              assert.ifError(err);
+              assert.ok(result);
+
+              User.verifyEmail(token, function (err) {
+                expect(err).to.be.instanceof(BadRequestError);
+                expect(err.name).to.equal('verifyTokenInvalid');
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should load the verified field left out by selectFields', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var SelectFieldsSchema = new Schema({});
+      SelectFieldsSchema.plugin(passportEmail, {
+        iterations: 1,
+        requireVerifiedEmail: true,
+        selectFields: 'username email hash salt'
+      });
+      var SelectFieldsUser = mongoose.model('VerifyEmailSelectFields', SelectFieldsSchema);
+
+      SelectFieldsUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user, token) {
+        assert.ifError(err);
+
+        SelectFieldsUser.verifyEmail(token, function (err) {
+          assert.ifError(err);
+
+          SelectFieldsUser.authenticate()('hugo', 'password', function (err, result) {
+            assert.ifError(err);
+            assert.equal('hugo', result.username);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should resolve with the user and token if no callback is given', function () {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      return User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password').then(function (result) {
+        assert.equal('hugo', result.user.username);
+
+        return User.verifyEmail(result.token);
+      }).then(function (user) {
+        assert.strictEqual(true, user.verified);
+      });
+    });
+
+    it('should replace the token when resending the verification', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user, token) {
+        assert.ifError(err);
+
+        User.resendVerification('HUGO@example.com', function (err, newToken) {
+          assert.ifError(err);
+          assert.notEqual(token, newToken);
+
+          User.verifyEmail(token, function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('verifyTokenInvalid');
+
+            User.verifyEmail(newToken, function (err) {
+              assert.ifError(err);
+
+              User.resendVerification('hugo@example.com', function (err) {
+                expect(err).to.be.instanceof(BadRequestError);
+                expect(err.name).to.equal('emailAlreadyVerified');
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should result in a verifyTokenExpired error for expired tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user, token) {
+        assert.ifError(err);
+
+        user.verifyExpires = new Date(Date.now() - 1000);
+        user.save(function (err) {
+          assert.ifError(err);
+
+          User.verifyEmail(token, function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('verifyTokenExpired');
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#requestEmailChange()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      emailChange: true,
+      expirePasswords: true
+    });
+    var User = mongoose.model('EmailChange', UserSchema);
+
+    var registerHugo = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', cb);
+    };
+
+    it('should keep the current email until the change is confirmed', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerHugo(function (err, user) {
+        assert.ifError(err);
+
+        user.requestEmailChange('Hugo@Example.org', function (err, confirmToken, revertToken) {
+          assert.ifError(err);
+          assert.ok(confirmToken);
+          assert.ok(revertToken);
+          assert.equal(undefined, user.toJSON().emailChangeToken);
+
+          User.findByEmail('hugo@example.com', function (err, stored) {
+            assert.ifError(err);
+            assert.equal('hugo@example.org', stored.pendingEmail);
+
+            User.confirmEmailChange(confirmToken, function (err, user) {
+              assert.ifError(err);
+              assert.equal('hugo@example.org', user.email);
+              assert.equal('hugo@example.com', user.previousEmail);
+
+              User.authenticate()('hugo@example.org', 'password', function (err, result) {
+                assert.ifError(err);
+                assert.ok(result);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should restore the previous email with the revert token', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerHugo(function (err, user) {
+        assert.ifError(err);
+
+        user.requestEmailChange('hijacker@example.org').then(function (result) {
+          return User.confirmEmailChange(result.confirmToken).then(function () {
+            return User.revertEmailChange(result.revertToken);
+          });
+        }).then(function (user) {
+          assert.equal('hugo@example.com', user.email);
+          assert.equal(undefined, user.previousEmail);
+          assert.strictEqual(true, user.mustChangePassword);
+          assert.equal(1, user.sessionVersion);
+
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('should not replace a valid revert token by further changes', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerHugo(function (err, user) {
+        assert.ifError(err);
+
+        user.requestEmailChange('hijacker@example.org', function (err, confirmToken, revertToken) {
+          assert.ifError(err);
+
+          User.confirmEmailChange(confirmToken, function (err, user) {
+            assert.ifError(err);
+
+            user.requestEmailChange('other@example.org', function (err, otherConfirmToken, otherRevertToken) {
+              assert.ifError(err);
+              assert.equal(undefined, otherRevertToken);
+
+              User.confirmEmailChange(otherConfirmToken, function (err) {
+                assert.ifError(err);
+
+                User.revertEmailChange(revertToken, function (err, user) {
+                  assert.ifError(err);
+                  assert.equal('hugo@example.com', user.email);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should result in an emailExists error if the email is taken', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      registerHugo(function (err, user) {
+        assert.ifError(err);
+
+        User.register({
+          username: 'fritz',
+          email: 'fritz@example.com'
+        }, 'password', function (err) {
+          assert.ifError(err);
+
+          user.requestEmailChange('fritz@example.com', function (err) {
+            expect(err).to.be.instanceof(BadRequestError);
+            expect(err.name).to.equal('emailExists');
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should result in an emailChangeTokenInvalid error for unknown tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.confirmEmailChange('unknown', function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.name).to.equal('emailChangeTokenInvalid');
+
+        User.revertEmailChange('unknown', function (err) {
+          expect(err).to.be.instanceof(BadRequestError);
+          expect(err.name).to.equal('emailRevertTokenInvalid');
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('mailer', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var transport = new passportEmail.MemoryTransport();
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      emailVerification: true,
+      passwordReset: true,
+      emailChange: true,
+      mailer: {
+        transport: transport,
+        from: 'accounts@example.com',
+        links: {
+          verification: 'https://example.com/verify/{{token}}'
+        }
+      }
+    });
+    var User = mongoose.model('MailedUser', UserSchema);
+
+    beforeEach(function () {
+      transport.clear();
+    });
+
+    it('should email the verification token on register', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user, token) {
+        assert.ifError(err);
+        assert.equal(1, transport.sent.length);
+        assert.equal('verification', transport.sent[0].template);
+        assert.equal('hugo@example.com', transport.sent[0].to);
+        assert.ok(transport.sent[0].text.indexOf('https://example.com/verify/' + token) !== -1);
+
+        done();
+      });
+    });
+
+    it('should email the password reset token', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.createResetToken('hugo', function (err, token) {
+          assert.ifError(err);
+          assert.equal(2, transport.sent.length);
+          assert.equal('passwordReset', transport.sent[1].template);
+          assert.ok(transport.sent[1].text.indexOf(token) !== -1);
+
+          done();
+        });
+      });
+    });
+
+    it('should email the confirmation to the new and the revert token to the current address', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.requestEmailChange('hugo@example.org', function (err, confirmToken, revertToken) {
+          assert.ifError(err);
+          assert.equal(3, transport.sent.length);
+          assert.equal('hugo@example.org', transport.sent[1].to);
+          assert.ok(transport.sent[1].text.indexOf(confirmToken) !== -1);
+          assert.equal('hugo@example.com', transport.sent[2].to);
+          assert.ok(transport.sent[2].text.indexOf(revertToken) !== -1);
+          assert.ok(transport.sent[2].text.indexOf('hugo@example.org') !== -1);
+
+          done();
+        });
+      });
+    });
+
+    describe('with a failing transport', function () {
+      var failing = {
+        sent: [],
+        send: function (message, cb) {
+          this.sent.push(message);
+          process.nextTick(function () {
+            cb(message.template === 'emailChangeRevert' ? null : new Error('smtp down'));
+          });
+        }
+      };
+      var FailingSchema = new Schema({});
+      FailingSchema.plugin(passportEmail, {
+        iterations: 1,
+        emailVerification: true,
+        passwordReset: true,
+        emailChange: true,
+        mailer: {
+          transport: failing
+        }
+      });
+      var FailingUser = mongoose.model('FailingMailUser', FailingSchema);
+
+      beforeEach(function () {
+        failing.sent = [];
+      });
+
+      it('should register the user and report the mail error separately', function (done) {
+        this.timeout(5000); // Five seconds - mongo db access needed
+
+        FailingUser.register({
+          username: 'hugo',
+          email: 'hugo@example.com'
+        }, 'password', function (err, user, token, mailError) {
+          assert.ifError(err);
+          assert.ok(token);
+          assert.equal('smtp down', mailError.message);
+
+          FailingUser.findByUsername('hugo', function (err, stored) {
+            assert.ifError(err);
+            assert.ok(stored);
+
+            done();
+          });
+        });
+      });
+
+      it('should resolve with the mail error of a saved reset token', function () {
+        this.timeout(5000); // Five seconds - mongo db access needed
+
+        return FailingUser.register({
+          username: 'hugo',
+          email: 'hugo@example.com'
+        }, 'password').then(function () {
+          return FailingUser.createResetToken('hugo');
+        }).then(function (result) {
+          assert.ok(result.token);
+          assert.equal('smtp down', result.mailError.message);
+        });
+      });
+
+      it('should still email the revert token if the new address cannot be reached', function (done) {
+        this.timeout(5000); // Five seconds - mongo db access needed
+
+        FailingUser.register({
+          username: 'hugo',
+          email: 'hugo@example.com'
+        }, 'password', function (err, user) {
+          assert.ifError(err);
+
+          user.requestEmailChange('hugo@example.org', function (err, confirmToken, revertToken, mailError) {
+            assert.ifError(err);
+            assert.ok(revertToken);
+            assert.equal('smtp down', mailError.message);
+            assert.equal('emailChangeRevert', failing.sent[2].template);
+            assert.equal('hugo@example.com', failing.sent[2].to);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('with hideUnknownUsers', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var transport = new passportEmail.MemoryTransport();
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      hideUnknownUsers: true,
+      emailVerification: true,
+      passwordReset: true,
+      magicLink: true,
+      magicLinkSecret: 'secret',
+      loginCode: true,
+      mailer: {
+        transport: transport
+      }
+    });
+    var User = mongoose.model('HideUnknownUser', UserSchema);
+
+    beforeEach(function () {
+      transport.clear();
+    });
+
+    it('should answer unknown users without an error and without an email', function () {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      return Promise.all([
+        User.createResetToken('nobody'),
+        User.resendVerification('nobody@example.com'),
+        User.createMagicLink('nobody@example.com'),
+        User.sendLoginCode('nobody@example.com')
+      ]).then(function (results) {
+        assert.equal(undefined, results[0].token);
+        assert.equal(undefined, results[1].token);
+        assert.equal(undefined, results[2].token);
+        assert.equal(undefined, results[3].code);
+        assert.equal(0, transport.sent.length);
+      });
+    });
+
+    it('should not tell that an email is verified already', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user, token) {
+        assert.ifError(err);
+
+        User.verifyEmail(token, function (err) {
+          assert.ifError(err);
+          transport.clear();
+
+          User.resendVerification('hugo@example.com', function (err, token) {
+            assert.ifError(err);
+            assert.equal(undefined, token);
+            assert.equal(0, transport.sent.length);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should still issue tokens to known users', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.createResetToken('hugo@example.com', function (err, token, user) {
+          assert.ifError(err);
+          assert.ok(token);
+          assert.equal('hugo', user.username);
+          assert.equal('passwordReset', transport.sent[1].template);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('magic link', function () {
+    it('should need a magicLinkSecret', function () {
+      var UserSchema = new Schema({});
+
+      assert.throws(function () {
+        UserSchema.plugin(passportEmail, {
+          magicLink: true
+        });
+      }, /magicLinkSecret/);
+    });
+
+    it('should create a strategy named magiclink', function () {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        magicLink: true,
+        magicLinkSecret: 'secret'
+      });
+      var User = mongoose.model('MagicLinkStrategyUser', UserSchema);
+
+      assert.equal('magiclink', User.createMagicLinkStrategy().name);
+    });
+  });
+
+  describe('static #createMagicLink() and #verifyMagicLink()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var transport = new passportEmail.MemoryTransport();
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      magicLink: true,
+      magicLinkSecret: 'secret',
+      mailer: {
+        transport: transport,
+        links: {
+          magicLink: 'https://example.com/login/{{token}}'
+        }
+      }
+    });
+    var User = mongoose.model('MagicLinkUser', UserSchema);
+
+    var register = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', cb);
+    };
+
+    beforeEach(function () {
+      transport.clear();
+    });
+
+    it('should email a login link that logs the user in once', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.createMagicLink('hugo@example.com', function (err, token) {
+          assert.ifError(err);
+          assert.equal('magicLink', transport.sent[0].template);
+          assert.ok(transport.sent[0].text.indexOf('https://example.com/login/' + token) !== -1);
+
+          User.verifyMagicLink(token, function (err, user) {
+            assert.ifError(err);
+            assert.equal('hugo', user.username);
+
+            User.verifyMagicLink(token, function (err, user, info) {
+              assert.ifError(err);
+              assert.equal(false, user);
+              assert.equal('magicLinkUsed', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should yield userNotFound for unknown emails', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.createMagicLink('nobody@example.com', function (err) {
+        assert.ok(err instanceof BadRequestError);
+        assert.equal('userNotFound', err.name);
+
+        done();
+      });
+    });
+
+    it('should reject tampered links', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.createMagicLink('hugo@example.com', function (err, token) {
+          assert.ifError(err);
+
+          User.verifyMagicLink(token.slice(0, -1) + (token.slice(-1) === '0' ? '1' : '0'), function (err, user, info) {
+            assert.ifError(err);
+            assert.equal(false, user);
+            assert.equal('magicLinkInvalid', info.result);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should only accept a link in the session it was requested from', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.createMagicLink('hugo@example.com', {
+          sessionID: 'session'
+        }).then(function (result) {
+          User.verifyMagicLink(result.token, {
+            sessionID: 'other session'
+          }, function (err, user, info) {
+            assert.ifError(err);
+            assert.equal(false, user);
+            assert.equal('magicLinkWrongBrowser', info.result);
+
+            User.verifyMagicLink(result.token, {
+              sessionID: 'session'
+            }, function (err, user) {
+              assert.ifError(err);
+              assert.equal('hugo', user.username);
+
+              done();
+            });
+          });
+        }).catch(done);
+      });
+    });
+
+    it('should invalidate previous links when a new one is created', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.createMagicLink('hugo@example.com', function (err, oldToken) {
+          assert.ifError(err);
+
+          User.createMagicLink('hugo@example.com', function (err) {
+            assert.ifError(err);
+
+            User.verifyMagicLink(oldToken, function (err, user, info) {
+              assert.ifError(err);
+              assert.equal(false, user);
+              assert.equal('magicLinkInvalid', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should not log in locked accounts', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        magicLink: true,
+        magicLinkSecret: 'secret',
+        lockAfter: 3,
+        lockTime: 0
+      });
+      var LockedUser = mongoose.model('MagicLinkLockedUser', UserSchema);
+
+      LockedUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.locked = true;
+        user.save(function (err) {
+          assert.ifError(err);
+
+          LockedUser.createMagicLink('hugo@example.com', function (err, token) {
+            assert.ifError(err);
+
+            LockedUser.verifyMagicLink(token, function (err, user, info) {
+              assert.ifError(err);
+              assert.equal(false, user);
+              assert.equal('accountLocked', info.result);
+              assert.equal(null, info.lockedUntil);
+
+              LockedUser.findOne({ username: 'hugo' }, function (err, stored) {
+                assert.ifError(err);
+                assert.ok(!stored.magicLinkUsed);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('login code', function () {
+    it('should only allow codes of 6 to 8 digits', function () {
+      var UserSchema = new Schema({});
+
+      assert.throws(function () {
+        UserSchema.plugin(passportEmail, {
+          loginCode: true,
+          loginCodeLength: 4
+        });
+      }, /loginCodeLength/);
+    });
+
+    it('should create a strategy named logincode', function () {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        loginCode: true
+      });
+      var User = mongoose.model('LoginCodeStrategyUser', UserSchema);
+
+      assert.equal('logincode', User.createLoginCodeStrategy().name);
+    });
+  });
+
+  describe('static #sendLoginCode() and #verifyLoginCode()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var transport = new passportEmail.MemoryTransport();
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      loginCode: true,
+      loginCodeAttempts: 2,
+      mailer: {
+        transport: transport
+      }
+    });
+    var User = mongoose.model('LoginCodeUser', UserSchema);
+
+    var register = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', cb);
+    };
+
+    var wrongCode = function (code) {
+      return code === '000000' ? '000001' : '000000';
+    };
+
+    beforeEach(function () {
+      transport.clear();
+    });
+
+    it('should email a code that logs the user in once', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.sendLoginCode('hugo@example.com', function (err, code, user) {
+          assert.ifError(err);
+          assert.ok(/^[0-9]{6}$/.test(code));
+          assert.notEqual(code, user.get('loginCode'));
+          assert.equal('loginCode', transport.sent[0].template);
+          assert.ok(transport.sent[0].text.indexOf(code) !== -1);
+
+          User.verifyLoginCode('hugo@example.com', code, function (err, user) {
+            assert.ifError(err);
+            assert.equal('hugo', user.username);
+
+            User.verifyLoginCode('hugo@example.com', code, function (err, user, info) {
+              assert.ifError(err);
+              assert.equal(false, user);
+              assert.equal('loginCodeInvalid', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should burn the code after too many incorrect attempts', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.sendLoginCode('hugo@example.com').then(function (result) {
+          User.verifyLoginCode('hugo@example.com', wrongCode(result.code), function (err, user, info) {
+            assert.ifError(err);
+            assert.equal('loginCodeInvalid', info.result);
+
+            User.verifyLoginCode('hugo@example.com', wrongCode(result.code), function (err, user, info) {
+              assert.ifError(err);
+              assert.equal('loginCodeAttemptsExceeded', info.result);
+
+              User.verifyLoginCode('hugo@example.com', result.code, function (err, user, info) {
+                assert.ifError(err);
+                assert.equal(false, user);
+                assert.equal('loginCodeInvalid', info.result);
+
+                done();
+              });
+            });
+          });
+        }).catch(done);
+      });
+    });
+
+    it('should reject expired codes', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err) {
+        assert.ifError(err);
+
+        User.sendLoginCode('hugo@example.com', function (err, code, user) {
+          assert.ifError(err);
+
+          user.set('loginCodeExpires', new Date(Date.now() - 1000));
+          user.save(function (err) {
+            assert.ifError(err);
+
+            User.verifyLoginCode('hugo@example.com', code, function (err, user, info) {
+              assert.ifError(err);
+              assert.equal(false, user);
+              assert.equal('loginCodeExpired', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should verify codes with the hash parameters they were created with', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var plugin = function (iterations) {
+        var UserSchema = new Schema({});
+        UserSchema.plugin(passportEmail, {
+          iterations: iterations,
+          loginCode: true
+        });
+
+        return UserSchema;
+      };
+      var Before = mongoose.model('LoginCodeParamsBefore', plugin(1), 'logincodeparams');
+      var After = mongoose.model('LoginCodeParamsAfter', plugin(2), 'logincodeparams');
+
+      Before.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        Before.sendLoginCode('hugo@example.com', function (err, code) {
+          assert.ifError(err);
+
+          After.verifyLoginCode('hugo@example.com', code, function (err, user) {
+            assert.ifError(err);
+            assert.equal('hugo', user.username);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should verify codes with selectFields', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        loginCode: true,
+        selectFields: 'username email'
+      });
+      var SelectFieldsUser = mongoose.model('LoginCodeSelectFieldsUser', UserSchema);
+
+      SelectFieldsUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        SelectFieldsUser.sendLoginCode('hugo@example.com', function (err, code) {
+          assert.ifError(err);
+
+          SelectFieldsUser.verifyLoginCode('hugo@example.com', code, function (err, user) {
+            assert.ifError(err);
+            assert.equal('hugo', user.username);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('two-factor authentication', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var totp = require('../lib/totp');
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      twoFactor: true,
+      twoFactorIssuer: 'Example'
+    });
+    var User = mongoose.model('TwoFactorUser', UserSchema);
+
+    var enroll = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        if (err) {
+          return cb(err);
+        }
+
+        user.setupTwoFactor(function (err, secret, uri) {
+          if (err) {
+            return cb(err);
+          }
+
+          assert.ok(uri.indexOf('otpauth://totp/Example:hugo%40example.com?secret=' + secret) === 0);
+          assert.equal(false, user.twoFactorEnabled);
+
+          // enrolment is confirmed with the code of the previous time step, so
+          // the current one has not been used yet
+          user.confirmTwoFactor(totp.generate(secret, {
+            time: Date.now() - 30000
+          }), function (err) {
+            cb(err, user, secret);
+          });
+        });
+      });
+    };
+
+    it('should require the second factor after the password once enabled', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      enroll(function (err, user, secret) {
+        assert.ifError(err);
+        assert.equal(true, user.twoFactorEnabled);
+
+        User.authenticate()('hugo', 'password', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal(false, result);
+          assert.equal('secondFactorRequired', info.result);
+
+          info.user.verifyTwoFactor(totp.generate(secret), function (err, result) {
+            assert.ifError(err);
+            assert.equal('hugo', result.username);
+
+            info.user.verifyTwoFactor(totp.generate(secret), function (err, result, info) {
+              assert.ifError(err);
+              assert.equal(false, result);
+              assert.equal('twoFactorCodeInvalid', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should require the second factor after a login link or code', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        twoFactor: true,
+        magicLink: true,
+        magicLinkSecret: 'secret',
+        loginCode: true
+      });
+      var PasswordlessUser = mongoose.model('TwoFactorPasswordlessUser', UserSchema);
+
+      PasswordlessUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.setupTwoFactor(function (err, secret) {
+          assert.ifError(err);
+
+          user.confirmTwoFactor(totp.generate(secret, {
+            time: Date.now() - 30000
+          }), function (err) {
+            assert.ifError(err);
+
+            PasswordlessUser.createMagicLink('hugo@example.com', function (err, token) {
+              assert.ifError(err);
+
+              PasswordlessUser.verifyMagicLink(token, function (err, result, info) {
+                assert.ifError(err);
+                assert.equal(false, result);
+                assert.equal('secondFactorRequired', info.result);
+                assert.equal('hugo', info.user.username);
+
+                PasswordlessUser.sendLoginCode('hugo@example.com', function (err, code) {
+                  assert.ifError(err);
+
+                  PasswordlessUser.verifyLoginCode('hugo@example.com', code, function (err, result, info) {
+                    assert.ifError(err);
+                    assert.equal(false, result);
+                    assert.equal('secondFactorRequired', info.result);
+
+                    info.user.verifyTwoFactor(totp.generate(secret), function (err, result) {
+                      assert.ifError(err);
+                      assert.equal('hugo', result.username);
+
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should load the two-factor fields left out by selectFields', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        twoFactor: true,
+        selectFields: 'username email hash salt hashParams'
+      });
+      var SelectFieldsUser = mongoose.model('TwoFactorSelectFieldsUser', UserSchema);
+
+      SelectFieldsUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        SelectFieldsUser.findByUsername('hugo', function (err, user) {
+          assert.ifError(err);
+
+          user.setupTwoFactor(function (err, secret) {
+            assert.ifError(err);
+
+            SelectFieldsUser.findByUsername('hugo', function (err, user) {
+              assert.ifError(err);
+
+              user.confirmTwoFactor(totp.generate(secret, {
+                time: Date.now() - 30000
+              }), function (err) {
+                assert.ifError(err);
+
+                SelectFieldsUser.authenticate()('hugo', 'password', function (err, result, info) {
+                  assert.ifError(err);
+                  assert.equal(false, result);
+                  assert.equal('secondFactorRequired', info.result);
+
+                  SelectFieldsUser.findByUsername('hugo', function (err, user) {
+                    assert.ifError(err);
+
+                    user.verifyTwoFactor(totp.generate(secret), function (err, result) {
+                      assert.ifError(err);
+                      assert.equal('hugo', result.username);
+
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should not enable two-factor authentication with a wrong code', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.setupTwoFactor().then(function (result) {
+          var code = totp.generate(result.secret);
+
+          return user.confirmTwoFactor(code === '000000' ? '000001' : '000000');
+        }).then(function () {
+          done(new Error('should not confirm'));
+        }, function (err) {
+          assert.equal('twoFactorCodeInvalid', err.name);
+          assert.equal(false, user.twoFactorEnabled);
+
+          done();
+        });
+      });
+    });
+
+    it('should log in with the password alone after disabling', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      enroll(function (err, user) {
+        assert.ifError(err);
+
+        user.disableTwoFactor(function (err) {
+          assert.ifError(err);
+          assert.equal(undefined, user.twoFactorSecret);
+
+          User.authenticate()('hugo', 'password', function (err, result) {
+            assert.ifError(err);
+            assert.equal('hugo', result.username);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#recoveryCodeCounts()', function () {
+    it('should count used and remaining recovery codes', function () {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        recoveryCodes: true
+      });
+      var User = mongoose.model('RecoveryCodeCountsUser', UserSchema);
+
+      var user = new User({
+        recoveryCodes: {
+          codes: [{ hash: 'a', used: new Date() }, { hash: 'b', used: null }, { hash: 'c', used: null }]
+        }
+      });
+
+      assert.deepEqual({ total: 3, used: 1, remaining: 2 }, user.recoveryCodeCounts());
+      assert.deepEqual({ total: 0, used: 0, remaining: 0 }, new User().recoveryCodeCounts());
+    });
+
+    it('should yield the counts to a callback', function (done) {
+      var User = mongoose.model('RecoveryCodeCountsUser');
+
+      new User().recoveryCodeCounts(function (err, counts) {
+        assert.ifError(err);
+        assert.deepEqual({ total: 0, used: 0, remaining: 0 }, counts);
+
+        done();
+      });
+    });
+  });
+
+  describe('#generateRecoveryCodes() and #verifyRecoveryCode()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      recoveryCodes: true,
+      recoveryCodeCount: 3
+    });
+    var User = mongoose.model('RecoveryCodeUser', UserSchema);
+
+    var register = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', cb);
+    };
+
+    it('should accept each recovery code once', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err, user) {
+        assert.ifError(err);
+
+        user.generateRecoveryCodes(function (err, codes) {
+          assert.ifError(err);
+          assert.equal(3, codes.length);
+          assert.ok(/^[0-9a-f]{5}-[0-9a-f]{5}$/.test(codes[0]));
+          assert.equal(-1, JSON.stringify(user.recoveryCodes).indexOf(codes[0]));
+
+          user.verifyRecoveryCode(codes[1].toUpperCase(), function (err, result) {
+            assert.ifError(err);
+            assert.equal('hugo', result.username);
+            assert.deepEqual({ total: 3, used: 1, remaining: 2 }, user.recoveryCodeCounts());
+
+            user.verifyRecoveryCode(codes[1], function (err, result, info) {
+              assert.ifError(err);
+              assert.equal(false, result);
+              assert.equal('recoveryCodeInvalid', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should invalidate the previous codes when regenerating', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (err, user) {
+        assert.ifError(err);
+
+        user.generateRecoveryCodes().then(function (oldCodes) {
+          return user.generateRecoveryCodes().then(function () {
+            return user.verifyRecoveryCode(oldCodes[0]);
+          });
+        }).then(function (result) {
+          assert.equal(false, result.user);
+          assert.equal('recoveryCodeInvalid', result.info.result);
+          assert.deepEqual({ total: 3, used: 0, remaining: 3 }, user.recoveryCodeCounts());
+
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('should load the recovery codes left out by selectFields', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        recoveryCodes: true,
+        recoveryCodeCount: 3,
+        selectFields: 'username email'
+      });
+      var SelectFieldsUser = mongoose.model('RecoveryCodeSelectFieldsUser', UserSchema);
+
+      SelectFieldsUser.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.generateRecoveryCodes(function (err, codes) {
+          assert.ifError(err);
+
+          SelectFieldsUser.findByUsername('hugo', function (err, user) {
+            assert.ifError(err);
+
+            user.verifyRecoveryCode(codes[0], function (err, result) {
+              assert.ifError(err);
+              assert.equal('hugo', result.username);
+
+              SelectFieldsUser.findByUsername('hugo', function (err, user) {
+                assert.ifError(err);
+
+                user.recoveryCodeCounts(function (err, counts) {
+                  assert.ifError(err);
+                  assert.deepEqual({ total: 3, used: 1, remaining: 2 }, counts);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('account lockout', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var transport = new passportEmail.MemoryTransport();
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      lockAfter: 2,
+      mailer: {
+        transport: transport
+      }
+    });
+    var User = mongoose.model('LockoutUser', UserSchema);
+
+    var ForeverSchema = new Schema({});
+    ForeverSchema.plugin(passportEmail, {
+      iterations: 1,
+      lockAfter: 1,
+      lockTime: 0
+    });
+    var ForeverUser = mongoose.model('LockoutForeverUser', ForeverSchema);
+
+    beforeEach(function () {
+      transport.clear();
+    });
+
+    var register = function (Model, cb) {
+      Model.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', cb);
+    };
+
+    it('should lock the account after too many failures until the emailed token is used', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(User, function (err) {
+        assert.ifError(err);
+
+        User.authenticate()('hugo', 'wrong', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal('incorrectPassword', info.result);
+
+          User.authenticate()('hugo', 'wrong', function (err, result, info) {
+            assert.ifError(err);
+            assert.equal('accountLocked', info.result);
+            assert.ok(info.lockedUntil > Date.now() + 3500000);
+            assert.equal('lockout', transport.sent[0].template);
+
+            User.authenticate()('hugo', 'password', function (err, result, info) {
+              assert.ifError(err);
+              assert.equal(false, result);
+              assert.equal('accountLocked', info.result);
+
+              var token = /[0-9a-f]{64}/.exec(transport.sent[0].text)[0];
+
+              User.unlockAccount(token, function (err) {
+                assert.ifError(err);
+
+                User.authenticate()('hugo', 'password', function (err, result) {
+                  assert.ifError(err);
+                  assert.equal('hugo', result.username);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should report a failed lockout email in the locked info', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var FailingMailSchema = new Schema({});
+      FailingMailSchema.plugin(passportEmail, {
+        iterations: 1,
+        lockAfter: 1,
+        mailer: {
+          transport: {
+            send: function (message, cb) {
+              process.nextTick(function () {
+                cb(new Error('smtp down'));
+              });
+            }
+          }
+        }
+      });
+      var FailingMailUser = mongoose.model('LockoutFailingMailUser', FailingMailSchema);
+
+      register(FailingMailUser, function (err) {
+        assert.ifError(err);
+
+        FailingMailUser.authenticate()('hugo', 'wrong', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal(false, result);
+          assert.equal('accountLocked', info.result);
+          assert.equal('smtp down', info.mailError.message);
+
+          done();
+        });
+      });
+    });
+
+    it('should keep the account locked with selectFields', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var SelectFieldsSchema = new Schema({});
+      SelectFieldsSchema.plugin(passportEmail, {
+        iterations: 1,
+        lockAfter: 2,
+        lockTime: 0,
+        selectFields: 'username email hash salt hashParams'
+      });
+      var SelectFieldsUser = mongoose.model('LockoutSelectFieldsUser', SelectFieldsSchema);
+
+      register(SelectFieldsUser, function (err) {
+        assert.ifError(err);
+
+        SelectFieldsUser.authenticate()('hugo', 'wrong', function (err) {
+          assert.ifError(err);
+
+          SelectFieldsUser.authenticate()('hugo', 'wrong', function (err, result, info) {
+            assert.ifError(err);
+            assert.equal('accountLocked', info.result);
+
+            SelectFieldsUser.authenticate()('hugo', 'password', function (err, result, info) {
+              assert.ifError(err);
+              assert.equal(false, result);
+              assert.equal('accountLocked', info.result);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should lift the lock once the lock time ran out', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(User, function (err, user) {
+        assert.ifError(err);
+
+        user.set('locked', true);
+        user.set('attempts', 2);
+        user.set('lockedUntil', new Date(Date.now() - 1000));
+        user.save(function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('hugo', 'wrong', function (err, result, info) {
+            assert.ifError(err);
+            assert.equal('incorrectPassword', info.result);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should keep the account locked without lock time until an admin unlocks it', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(ForeverUser, function (err) {
+        assert.ifError(err);
+
+        ForeverUser.authenticate()('hugo', 'wrong', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal('accountLocked', info.result);
+          assert.equal(null, info.lockedUntil);
+
+          ForeverUser.findByUsername('hugo', function (err, user) {
+            assert.ifError(err);
+
+            user.unlock(function (err) {
+              assert.ifError(err);
+
+              ForeverUser.authenticate()('hugo', 'password', function (err, result) {
+                assert.ifError(err);
+                assert.equal('hugo', result.username);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should yield unlockTokenInvalid for unknown tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.unlockAccount('unknown').then(function () {
+        done(new Error('should not unlock'));
+      }, function (err) {
+        assert.equal('unlockTokenInvalid', err.name);
+
+        done();
+      });
+    });
+  });
+
+  describe('attempt tracking', function () {
+    it('should pass errors of the attempt update to the callback', function (done) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        limitAttempts: true
+      });
+      var User = mongoose.model('AttemptUpdateErrorUser', UserSchema);
+
+      User.findOneAndUpdate = function (conditions, update, options, cb) {
+        cb(new Error('update failed'));
+      };
+
+      var user = new User({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      });
+
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err) {
+        assert.ok(err);
+        assert.equal('update failed', err.message);
+
+        done();
+      });
+    });
+
+    it('should report the time until the next attempt of a custom throttling policy', function (done) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        throttle: function (record) {
+          return record.attempts ? 0 : 1500.5;
+        }
+      });
+      var User = mongoose.model('CustomThrottleUser', UserSchema);
+
+      // the user is not saved
+      User.findOneAndUpdate = function (conditions, update, options, cb) {
+        cb(null, null);
+      };
+
+      var user = new User({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      });
+
+      setPasswordAndAuthenticate(user, 'password', 'password', function (err, result, info) {
+        assert.ifError(err);
+        assert.equal(false, result);
+        assert.equal('attemptTooSoon', info.result);
+        assert.equal(1501, info.retryAfter);
+
+        done();
+      });
+    });
+  });
+
+  describe('throttling policies', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    it('should throttle attempts with a token bucket', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        throttle: {
+          policy: 'tokenBucket',
+          capacity: 2,
+          refillInterval: 60000
+        }
+      });
+      var User = mongoose.model('TokenBucketUser', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.authenticate()('hugo', 'wrong', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal('incorrectPassword', info.result);
+
+          User.authenticate()('hugo', 'password', function (err, result) {
+            assert.ifError(err);
+            assert.equal('hugo', result.username);
+
+            User.authenticate()('hugo', 'password', function (err, result, info) {
+              assert.ifError(err);
+              assert.equal(false, result);
+              assert.equal('attemptTooSoon', info.result);
+              assert.ok(info.retryAfter > 59000 && info.retryAfter <= 60000);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should report the time until the next attempt of the exponential policy', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        limitAttempts: true,
+        interval: 20000
+      });
+      var User = mongoose.model('ExponentialRetryAfterUser', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.authenticate()('hugo', 'wrong', function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('hugo', 'password', function (err, result, info) {
+            assert.ifError(err);
+            assert.equal('attemptTooSoon', info.result);
+            assert.ok(info.retryAfter > 0 && info.retryAfter <= 20000);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('atomic attempt tracking', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    it('should count concurrent failures', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        lockAfter: 10
+      });
+      var User = mongoose.model('ConcurrentAttemptsUser', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        var pending = 5;
+        for (var i = 0; i < 5; i++) {
+          User.authenticate()('hugo', 'wrong', function (err) {
+            assert.ifError(err);
+
+            if (--pending) {
+              return;
+            }
+
+            User.findByUsername('hugo', function (err, user) {
+              assert.ifError(err);
+              assert.equal(5, user.attempts);
+
+              done();
+            });
+          });
+        }
+      });
+    });
+
+    it('should not overwrite fields changed by others', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({
+        name: String
+      });
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        limitAttempts: true,
+        interval: 1
+      });
+      var User = mongoose.model('AttemptsOtherFieldsUser', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com',
+        name: 'Hugo'
+      }, 'password', function (err, stale) {
+        assert.ifError(err);
+
+        User.findByUsername('hugo', function (err, fresh) {
+          assert.ifError(err);
+
+          fresh.name = 'Hugo Boss';
+          fresh.save(function (err) {
+            assert.ifError(err);
+
+            stale.authenticate('wrong', function (err) {
+              assert.ifError(err);
+              assert.equal(1, stale.attempts);
+
+              User.findByUsername('hugo', function (err, user) {
+                assert.ifError(err);
+                assert.equal('Hugo Boss', user.name);
+                assert.equal(1, user.attempts);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('audit log', function () {
+    it('should create the audit model on the connection of the user model', function () {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        auditLog: true
+      });
+      var User = mongoose.model('AuditModelUser', UserSchema);
+
+      var Audit = User.loginAudit();
+      assert.equal('AuditModelUserAudit', Audit.modelName);
+      assert.strictEqual(Audit, User.loginAudit());
+      assert.equal('function', typeof Audit.recentFailures);
+    });
+
+    it('should need the auditLog option', function () {
+      assert.throws(function () {
+        DefaultUser.loginAudit();
+      }, /auditLog/);
+    });
+  });
+
+  describe('static #authenticate() with audit log', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      auditLog: true,
+      auditModelName: 'LoginAudit'
+    });
+    var User = mongoose.model('AuditedUser', UserSchema);
+
+    var req = {
+      ip: '10.0.0.1',
+      headers: {
+        'user-agent': 'test agent'
+      }
+    };
+
+    it('should record the outcome of every login', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()(req, 'hugo', 'wrong', function (err) {
+          assert.ifError(err);
+
+          User.authenticate()(req, 'nobody', 'wrong', function (err) {
+            assert.ifError(err);
+
+            User.authenticate()('hugo', 'password', function (err, result) {
+              assert.ifError(err);
+              assert.ok(result);
+
+              User.loginAudit().find().sort({ createdAt: 1 }).exec(function (err, entries) {
+                assert.ifError(err);
+                assert.deepEqual(['incorrectPassword', 'incorrectUsername', 'success'], entries.map(function (entry) {
+                  return entry.outcome;
+                }));
+                assert.equal(String(user._id), String(entries[0].user));
+                assert.equal('hugo', entries[0].identifier);
+                assert.equal('10.0.0.1', entries[0].ip);
+                assert.equal('test agent', entries[0].userAgent);
+                assert.equal(undefined, entries[1].user);
+
+                user.recentLoginFailures(function (err, failures) {
+                  assert.ifError(err);
+                  assert.equal(1, failures.length);
+                  assert.equal('incorrectPassword', failures[0].outcome);
+
+                  User.loginAudit().recentFailuresForIp('10.0.0.1', { limit: 5 }, function (err, failures) {
+                    assert.ifError(err);
+                    assert.equal(2, failures.length);
+
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should keep the login result if the entry cannot be written', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var Audit = User.loginAudit();
+      var create = Audit.create;
+      var errors = [];
+
+      Audit.create = function (entry, cb) {
+        cb(new Error('audit log down'));
+      };
+      User.accountEvents().on('error', function (err, event, entry) {
+        errors.push([err.message, event, entry.outcome]);
+      });
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.authenticate()(req, 'hugo', 'password', function (err, result) {
+          Audit.create = create;
+          assert.ifError(err);
+          assert.equal('hugo', result.username);
+          assert.deepEqual([['audit log down', 'audit', 'success']], errors);
+
+          done();
+        });
+      });
+    });
+
+    it('should record rate limited logins', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        auditLog: true,
+        rateLimit: {
+          ip: { limit: 1 }
+        }
+      });
+      var RateLimitedUser = mongoose.model('AuditedRateLimitedUser', UserSchema);
+      var strategy = RateLimitedUser.createStrategy();
 
-                // Last login attempt should lock the user!
-                User.authenticate()('user', 'password', function (err, result, message) {
-                  debugger;
-                  expect(err).to.not.exist;
-                  expect(result).to.be.false;
+      strategy._verify(req, 'nobody', 'wrong', function (err) {
+        assert.ifError(err);
+
+        strategy._verify(req, 'nobody', 'wrong', function (err, user, info) {
+          assert.ifError(err);
+          assert.equal('rateLimited', info.result);
+
+          RateLimitedUser.loginAudit().recentFailuresForIp('10.0.0.1', function (err, failures) {
+            assert.ifError(err);
+            assert.deepEqual(['attemptTooSoon', 'incorrectUsername'], failures.map(function (entry) {
+              return entry.outcome;
+            }).sort());
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('remember me', function () {
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      rememberMe: true
+    });
+    var User = mongoose.model('RememberMeStrategyUser', UserSchema);
+
+    it('should create a strategy named rememberme', function () {
+      assert.equal('rememberme', User.createRememberMeStrategy().name);
+    });
+
+    it('should verify the token of the remember me cookie', function (done) {
+      var strategy = User.createRememberMeStrategy({
+        cookieName: 'remember'
+      });
+
+      strategy._verify = function (req, credentials) {
+        assert.equal('series.token', credentials.token);
+
+        done();
+      };
+
+      strategy.authenticate({
+        headers: {
+          cookie: 'remember=series.token'
+        }
+      });
+    });
+
+    it('should pass on requests with a session or without cookie', function (done) {
+      var strategy = User.createRememberMeStrategy();
+
+      strategy._verify = function () {
+        throw new Error('verify should not be called');
+      };
+
+      strategy.pass = function () {
+        strategy.pass = done;
+        strategy.authenticate({
+          headers: {}
+        });
+      };
+
+      strategy.authenticate({
+        isAuthenticated: function () {
+          return true;
+        },
+        cookies: {
+          remember_me: 'series.token'
+        }
+      });
+    });
+
+    it('should need the rememberMe option', function (done) {
+      DefaultUser.verifyRememberMeToken('series.token', function (err) {
+        assert.ok(/rememberMe/.test(err.message));
+
+        done();
+      });
+    });
+  });
+
+  describe('remember me tokens', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    var UserSchema = new Schema({});
+    UserSchema.plugin(passportEmail, {
+      iterations: 1,
+      rememberMe: true
+    });
+    var User = mongoose.model('RememberMeUser', UserSchema);
+
+    var register = function (cb) {
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.createRememberMeToken(function (err, token) {
+          assert.ifError(err);
+
+          cb(user, token);
+        });
+      });
+    };
+
+    it('should log in and rotate the token on every use', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (user, token) {
+        assert.equal(2, token.split('.').length);
+
+        User.verifyRememberMeToken(token, function (err, loggedIn, info) {
+          assert.ifError(err);
+          assert.equal(String(user._id), String(loggedIn._id));
+          assert.notEqual(token, info.token);
+          assert.equal(token.split('.')[0], info.token.split('.')[0]);
+
+          User.findById(user._id, function (err, stored) {
+            assert.ifError(err);
+            assert.equal(1, stored.rememberMe.length);
+            assert.equal(undefined, stored.toJSON().rememberMe);
+            assert.equal(-1, JSON.stringify(stored.rememberMe).indexOf(info.token.split('.')[1]));
+
+            User.verifyRememberMeToken(info.token).then(function (result) {
+              assert.equal('hugo', result.user.username);
+
+              done();
+            }, done);
+          });
+        });
+      });
+    });
+
+    it('should drop the series and end sessions when a token is reused', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (user, token) {
+        User.verifyRememberMeToken(token, function (err, loggedIn, info) {
+          assert.ifError(err);
+
+          var rotated = info.token;
+
+          User.verifyRememberMeToken(token, function (err, loggedIn, info) {
+            assert.ifError(err);
+            assert.equal(false, loggedIn);
+            assert.equal('rememberMeReused', info.result);
+
+            User.verifyRememberMeToken(rotated, function (err, loggedIn, info) {
+              assert.ifError(err);
+              assert.equal(false, loggedIn);
+              assert.equal('rememberMeInvalid', info.result);
+
+              User.findById(user._id, function (err, stored) {
+                assert.ifError(err);
+                assert.equal(1, stored.sessionVersion);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should fail with rememberMeInvalid for unknown tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      User.verifyRememberMeToken('no token', function (err, loggedIn, info) {
+        assert.ifError(err);
+        assert.equal('rememberMeInvalid', info.result);
+
+        User.verifyRememberMeToken('unknown.token', function (err, loggedIn, info) {
+          assert.ifError(err);
+          assert.equal('rememberMeInvalid', info.result);
+
+          done();
+        });
+      });
+    });
+
+    it('should fail with rememberMeExpired for expired tokens', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (user, token) {
+        User.update({
+          _id: user._id
+        }, {
+          $set: {
+            'rememberMe.0.expires': new Date(Date.now() - 1000)
+          }
+        }, function (err) {
+          assert.ifError(err);
+
+          User.verifyRememberMeToken(token, function (err, loggedIn, info) {
+            assert.ifError(err);
+            assert.equal('rememberMeExpired', info.result);
+
+            User.findById(user._id, function (err, stored) {
+              assert.ifError(err);
+              assert.equal(0, stored.rememberMe.length);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should revoke a series on logout and all of them with invalidateSessions', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      register(function (user, token) {
+        user.createRememberMeToken(function (err, otherToken) {
+          assert.ifError(err);
+
+          User.revokeRememberMeToken(token, function (err) {
+            assert.ifError(err);
+
+            User.verifyRememberMeToken(token, function (err, loggedIn, info) {
+              assert.ifError(err);
+              assert.equal('rememberMeInvalid', info.result);
+
+              user.invalidateSessions(function (err) {
+                assert.ifError(err);
+
+                User.verifyRememberMeToken(otherToken, function (err, loggedIn, info) {
+                  assert.ifError(err);
+                  assert.equal('rememberMeInvalid', info.result);
 
                   done();
                 });
@@ -394,38 +3707,243 @@ describe('passportEmail', function () {
     });
   });
 
-
+  describe('account events', function () {
+    it('should emit on the emitter given in the events option', function () {
+      var EventEmitter = require('events').EventEmitter;
+      var emitter = new EventEmitter();
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        events: emitter
+      });
+      var User = mongoose.model('AccountEventsEmitter', UserSchema);
+
+      assert.strictEqual(emitter, User.accountEvents());
+      assert.ok(DefaultUser.accountEvents() instanceof EventEmitter);
+      assert.notStrictEqual(emitter, DefaultUser.accountEvents());
+    });
+  });
+
+  describe('static #authenticate() with account events', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    it('should emit registered, loginFailed and loginSucceeded', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1
+      });
+      var User = mongoose.model('AccountEventsLogin', UserSchema);
+
+      var emitted = [];
+      ['registered', 'loginFailed', 'loginSucceeded'].forEach(function (event) {
+        User.accountEvents().on(event, function (payload) {
+          emitted.push([event, payload]);
+        });
+      });
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()('hugo', 'wrong', function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('hugo', 'password', function (err, result) {
+            assert.ifError(err);
+            assert.ok(result);
+
+            assert.deepEqual(['registered', 'loginFailed', 'loginSucceeded'], emitted.map(function (entry) {
+              return entry[0];
+            }));
+            assert.equal(String(user._id), String(emitted[1][1].user._id));
+            assert.equal('password', emitted[1][1].method);
+            assert.equal('hugo', emitted[1][1].identifier);
+            assert.equal('incorrectPassword', emitted[1][1].result);
+            assert.equal(String(user._id), String(emitted[2][1].user._id));
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not let failing listeners break the login', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1
+      });
+      var User = mongoose.model('AccountEventsFailingListener', UserSchema);
+
+      var errors = [];
+      User.accountEvents().on('loginSucceeded', function () {
+        throw new Error('listener failed');
+      });
+      User.accountEvents().on('error', function (err, event) {
+        errors.push(event);
+      });
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.authenticate()('hugo', 'password', function (err, result) {
+          assert.ifError(err);
+          assert.ok(result);
+          assert.deepEqual(['loginSucceeded'], errors);
+
+          done();
+        });
+      });
+    });
+
+    it('should emit passwordChanged', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1
+      });
+      var User = mongoose.model('AccountEventsPasswordChanged', UserSchema);
+
+      var emitted = [];
+      User.accountEvents().on('passwordChanged', function (payload) {
+        emitted.push(payload);
+      });
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.changePassword('password', 'new password', function (err) {
+          assert.ifError(err);
+          assert.equal(1, emitted.length);
+          assert.strictEqual(user, emitted[0].user);
+          assert.equal('change', emitted[0].reason);
+
+          done();
+        });
+      });
+    });
+
+    it('should emit locked when an account gets locked', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        lockAfter: 1
+      });
+      var User = mongoose.model('AccountEventsLocked', UserSchema);
+
+      var emitted = [];
+      User.accountEvents().on('locked', function (payload) {
+        emitted.push(payload);
+      });
+
+      User.register({
+        username: 'hugo',
+        email: 'hugo@example.com'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        User.authenticate()('hugo', 'wrong', function (err, result, info) {
+          assert.ifError(err);
+          assert.equal('accountLocked', info.result);
+          assert.equal(1, emitted.length);
+          assert.equal(String(user._id), String(emitted[0].user._id));
+          assert.ok(emitted[0].lockedUntil > Date.now());
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#requirePasswordChange()', function () {
+    beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
+    afterEach(mongotest.disconnect());
+
+    it('should flag the user to change the password on next login', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        expirePasswords: true
+      });
+      var User = mongoose.model('RequirePasswordChange', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.requirePasswordChange(function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('hugo', 'password', function (err, result, info) {
+            assert.ifError(err);
+            assert.ok(result);
+            assert.equal('passwordChangeRequired', info.result);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
   describe('static #serializeUser()', function () {
     it('should define a static serializeUser function for passport', function () {
       assert.ok(DefaultUser.serializeUser);
     });
 
-    it('should serialize existing user by username field', function (done) {
+    it('should serialize existing user by id and session version', function (done) {
       var user = new DefaultUser({
         username: 'user',
         email: 'email'
       });
 
-      DefaultUser.serializeUser()(user, function (err, username) {
-        assert.equal('user', username);
+      DefaultUser.serializeUser()(user, function (err, serialized) {
+        assert.deepEqual({
+          id: String(user._id),
+          version: 0
+        }, serialized);
 
         done();
       });
     });
 
-    it('should serialize existing user by username field override', function (done) {
+    it('should serialize existing user by serialize field override', function (done) {
       var UserSchema = new Schema();
       UserSchema.plugin(passportEmail, {
-        usernameField: 'email'
+        usernameField: 'email',
+        serializeField: 'email'
       });
       var User = mongoose.model('SerializeUserWithOverride', UserSchema);
 
       var user = new User({
-        email: 'emailUsedForUsername'
+        email: 'emailUsedForUsername',
+        sessionVersion: 2
       });
 
-      User.serializeUser()(user, function (err, username) {
-        assert.equal('emailUsedForUsername', username);
+      User.serializeUser()(user, function (err, serialized) {
+        assert.deepEqual({
+          id: 'emailUsedForUsername',
+          version: 2
+        }, serialized);
 
         done();
       });
@@ -436,6 +3954,13 @@ describe('passportEmail', function () {
     beforeEach(mongotest.prepareDb('mongodb://localhost/passportemailtests'));
     afterEach(mongotest.disconnect());
 
+    var serialize = function (User, user, cb) {
+      User.serializeUser()(user, function (err, serialized) {
+        assert.ifError(err);
+        cb(serialized);
+      });
+    };
+
     it('should define a static deserializeUser function for passport', function () {
       assert.ok(DefaultUser.deserializeUser);
     });
@@ -449,21 +3974,24 @@ describe('passportEmail', function () {
       }, 'password', function (err, user) {
         assert.ifError(err);
 
-        DefaultUser.deserializeUser()('user', function (err, loadedUser) {
-          assert.ifError(err);
-          assert.equal(user.username, loadedUser.username);
+        serialize(DefaultUser, user, function (serialized) {
+          DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+            assert.ifError(err);
+            assert.equal(user.username, loadedUser.username);
 
-          done();
+            done();
+          });
         });
       });
     });
 
-    it('should deserialize users by retrieving users from mongodb with username override', function (done) {
+    it('should deserialize users by retrieving users from mongodb with serialize field override', function (done) {
       this.timeout(5000); // Five seconds - mongo db access needed
 
       var UserSchema = new Schema();
       UserSchema.plugin(passportEmail, {
-        usernameField: 'usernameOverride'
+        usernameField: 'usernameOverride',
+        serializeField: 'usernameOverride'
       });
       var User = mongoose.model('DeserializeUserWithOverride', UserSchema);
 
@@ -474,7 +4002,10 @@ describe('passportEmail', function () {
       }, 'password', function (err) {
         assert.ifError(err);
 
-        User.deserializeUser()(usernameOverrideValue, function (err, loadedUser) {
+        User.deserializeUser()({
+          id: usernameOverrideValue,
+          version: 0
+        }, function (err, loadedUser) {
           assert.ifError(err);
           assert.equal(usernameOverrideValue, loadedUser.usernameOverride);
 
@@ -482,6 +4013,199 @@ describe('passportEmail', function () {
         });
       });
     });
+
+    it('should keep the session of a renamed user', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      DefaultUser.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        serialize(DefaultUser, user, function (serialized) {
+          user.username = 'renamed';
+          user.save(function (err) {
+            assert.ifError(err);
+
+            DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+              assert.ifError(err);
+              assert.equal('renamed', loadedUser.username);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should yield false for removed users and other session formats', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      DefaultUser.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        serialize(DefaultUser, user, function (serialized) {
+          user.remove(function (err) {
+            assert.ifError(err);
+
+            DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+              assert.ifError(err);
+              assert.strictEqual(false, loadedUser);
+
+              DefaultUser.deserializeUser()('user', function (err, loadedUser) {
+                assert.ifError(err);
+                assert.strictEqual(false, loadedUser);
+
+                DefaultUser.deserializeUser()({ id: 'no object id', version: 0 }, function (err, loadedUser) {
+                  assert.ifError(err);
+                  assert.strictEqual(false, loadedUser);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should yield false for sessions from before setPassword', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      DefaultUser.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+        assert.equal(0, user.sessionVersion);
+
+        serialize(DefaultUser, user, function (serialized) {
+          user.setPassword('newpassword', function (err) {
+            assert.ifError(err);
+
+            user.save(function (err) {
+              assert.ifError(err);
+              assert.equal(1, user.sessionVersion);
+
+              DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+                assert.ifError(err);
+                assert.strictEqual(false, loadedUser);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should yield false for sessions invalidated by invalidateSessions', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      DefaultUser.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        serialize(DefaultUser, user, function (serialized) {
+          user.invalidateSessions(function (err) {
+            assert.ifError(err);
+            assert.equal(1, user.sessionVersion);
+
+            DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+              assert.ifError(err);
+              assert.strictEqual(false, loadedUser);
+
+              serialize(DefaultUser, user, function (serialized) {
+                DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+                  assert.ifError(err);
+                  assert.equal('user', loadedUser.username);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should load the session version with selectFields', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        selectFields: 'username hash salt hashParams'
+      });
+      var User = mongoose.model('DeserializeUserWithSelectFields', UserSchema);
+
+      User.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        user.invalidateSessions(function (err) {
+          assert.ifError(err);
+
+          User.authenticate()('user', 'password', function (err, loggedIn) {
+            assert.ifError(err);
+            assert.equal(1, loggedIn.sessionVersion);
+
+            serialize(User, loggedIn, function (serialized) {
+              assert.equal(1, serialized.version);
+
+              User.deserializeUser()(serialized, function (err, loadedUser) {
+                assert.ifError(err);
+                assert.equal('user', loadedUser.username);
+                assert.equal(undefined, loadedUser.email);
+
+                user.invalidateSessions(function (err) {
+                  assert.ifError(err);
+
+                  User.deserializeUser()(serialized, function (err, loadedUser) {
+                    assert.ifError(err);
+                    assert.strictEqual(false, loadedUser);
+
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should yield false for sessions from before a password change', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      DefaultUser.register({
+        username: 'user',
+        email: 'email'
+      }, 'password', function (err, user) {
+        assert.ifError(err);
+
+        serialize(DefaultUser, user, function (serialized) {
+          user.changePassword('password', 'new password', function (err) {
+            assert.ifError(err);
+
+            DefaultUser.deserializeUser()(serialized, function (err, loadedUser) {
+              assert.ifError(err);
+              assert.strictEqual(false, loadedUser);
+
+              done();
+            });
+          });
+        });
+      });
+    });
   });
 
   describe('static #findByUsername()', function () {
@@ -544,6 +4268,28 @@ describe('passportEmail', function () {
       });
     });
 
+    it('should return a query that can be awaited when no callback is specified', function (done) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {});
+      var User = mongoose.model('FindByUsernameThenable', UserSchema);
+
+      var user = new User({
+        username: 'hugo',
+        email: 'email'
+      });
+      user.save(function (err) {
+        assert.ifError(err);
+
+        User.findByUsername('hugo').select('username').then(function (user) {
+          assert.ok(user);
+          assert.equal(user.username, 'hugo');
+          assert.equal(user.email, undefined);
+
+          done();
+        }, done);
+      });
+    });
+
     it('should select all fields', function (done) {
       var UserSchema = new Schema({
         department: {
@@ -604,6 +4350,76 @@ describe('passportEmail', function () {
       });
     });
 
+    it('should always select the hash parameters', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        selectFields: 'username email hash salt'
+      });
+      var User = mongoose.model('FindByUsernameWithoutHashParams', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'password', function (err) {
+        assert.ifError(err);
+
+        User.findByUsername('hugo', function (err, user) {
+          assert.ifError(err);
+          assert.equal('sha256', user.hashParams.digest);
+
+          User.authenticate()('hugo', 'password', function (err, result) {
+            assert.ifError(err);
+            assert.equal('hugo', result.username);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should never select the password history', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        iterations: 1,
+        passwordHistory: 3,
+        selectFields: 'username hash salt hashParams passwordHistory'
+      });
+      var User = mongoose.model('FindByUsernameWithPasswordHistory', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'first', function (err, user) {
+        assert.ifError(err);
+
+        user.setPassword('second', function (err) {
+          assert.ifError(err);
+
+          user.save(function (err) {
+            assert.ifError(err);
+
+            User.findByUsername('hugo', function (err, user) {
+              assert.ifError(err);
+              assert.ok(user.hash);
+              assert.ok(!user.isSelected('passwordHistory'));
+
+              user.setPassword('first', function (err) {
+                expect(err).to.be.instanceof(BadRequestError);
+                expect(err.name).to.equal('passwordReused');
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
     it('should retrieve saved user with findByUsername helper function with username field override', function (done) {
       var UserSchema = new Schema({});
       UserSchema.plugin(passportEmail, {
@@ -790,6 +4606,33 @@ describe('passportEmail', function () {
       });
     });
 
+    it('should result in BadRequest error in case the password does not meet the policy', function (done) {
+      this.timeout(5000); // Five seconds - mongo db access needed
+
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        passwordPolicy: {
+          minLength: 12
+        }
+      });
+      var User = mongoose.model('RegisterUserWithWeakPassword', UserSchema);
+
+      User.register({
+        username: 'hugo',
+        email: 'email'
+      }, 'password', function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.failures[0].name).to.equal('passwordTooShort');
+
+        User.findByUsername('hugo', function (err, user) {
+          assert.ifError(err);
+          assert.ok(!user);
+
+          done();
+        });
+      });
+    });
+
     it('should result in BadRequest error in case no password was given', function (done) {
       this.timeout(5000); // Five seconds - mongo db access needed
 
@@ -807,6 +4650,28 @@ describe('passportEmail', function () {
     });
   });
 
+  describe('static #register() without callback', function () {
+    it('should reject with a BadRequestError in case no username was given', function () {
+      return DefaultUser.register({}, 'password').then(function () {
+        throw new Error('Expected register to reject');
+      }, function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.name).to.equal('missingUsername');
+      });
+    });
+
+    it('should reject with a BadRequestError in case no email was given', function () {
+      return DefaultUser.register({
+        username: 'hugo'
+      }, 'password').then(function () {
+        throw new Error('Expected register to reject');
+      }, function (err) {
+        expect(err).to.be.instanceof(BadRequestError);
+        expect(err.name).to.equal('missingEmail');
+      });
+    });
+  });
+
   describe('static #createStrategy()', function () {
     it('should create strategy', function () {
       var UserSchema = new Schema({});
@@ -818,5 +4683,56 @@ describe('passportEmail', function () {
       var strategy = User.createStrategy();
       assert.ok(strategy);
     });
+
+    it('should rate limit login failures per client IP', function (done) {
+      var UserSchema = new Schema({});
+      UserSchema.plugin(passportEmail, {
+        rateLimit: {
+          ip: { limit: 1 }
+        }
+      });
+      UserSchema.statics.authenticate = function () {
+        return function (req, username, password, cb) {
+          assert.equal('10.0.0.1', req.ip);
+
+          if (password === 'password') {
+            return cb(null, { username: username });
+          }
+
+          cb(null, false, { result: 'incorrectPassword' });
+        };
+      };
+      var User = mongoose.model('RateLimitedStrategy', UserSchema);
+
+      var strategy = User.createStrategy();
+      var req = { ip: '10.0.0.1' };
+      var throttled = [];
+      User.accountEvents().on('throttled', function (payload) {
+        throttled.push(payload);
+      });
+
+      strategy._verify(req, 'hugo', 'password', function (err, user) {
+        assert.ifError(err);
+        assert.equal('hugo', user.username);
+
+        strategy._verify(req, 'hugo', 'wrong', function (err, user, info) {
+          assert.ifError(err);
+          assert.equal('incorrectPassword', info.result);
+
+          strategy._verify(req, 'hugo', 'password', function (err, user, info) {
+            assert.ifError(err);
+            assert.equal(false, user);
+            assert.equal('rateLimited', info.result);
+            assert.ok(info.retryAfter > 0);
+            assert.equal(1, throttled.length);
+            assert.equal('hugo', throttled[0].identifier);
+            assert.strictEqual(req, throttled[0].req);
+            assert.equal('rateLimited', throttled[0].result);
+
+            done();
+          });
+        });
+      });
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,150 @@
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+var passportEmail = require('../lib/passport-email');
+var checkPasswordPolicy = require('../lib/passwordpolicy');
+var assert = require('assert');
+var expect = require('chai').expect;
+
+var PolicyUserSchema = new Schema();
+PolicyUserSchema.plugin(passportEmail);
+var PolicyUser = mongoose.model('PolicyUser', PolicyUserSchema);
+
+var user = new PolicyUser({
+  username: 'hugo',
+  email: 'hugo.wiener@example.com'
+});
+
+// the plugin fills in field names and messages
+var policyOptions = function (policy) {
+  var options = {};
+
+  options.usernameField = 'username';
+  options.emailField = 'email';
+  options.passwordPolicy = policy;
+  options.passwordTooShortError = 'too short %d';
+  options.passwordTooLongError = 'too long %d';
+  options.passwordMissingLowercaseError = 'no lowercase';
+  options.passwordMissingUppercaseError = 'no uppercase';
+  options.passwordMissingDigitError = 'no digit';
+  options.passwordMissingSymbolError = 'no symbol';
+  options.passwordContainsUsernameError = 'contains %s';
+  options.passwordContainsEmailError = 'contains email';
+  options.passwordInvalidError = 'invalid';
+
+  return options;
+};
+
+var failureNames = function (policy, password, cb) {
+  checkPasswordPolicy(policyOptions(policy), password, user, function (err, failures) {
+    assert.ifError(err);
+
+    cb(failures.map(function (failure) {
+      return failure.name;
+    }));
+  });
+};
+
+describe('passwordPolicy', function () {
+  it('should pass passwords meeting every rule', function (done) {
+    failureNames({
+      minLength: 8,
+      maxLength: 16,
+      requireLowercase: true,
+      requireUppercase: true,
+      requireDigit: true,
+      requireSymbol: true,
+      forbidUsername: true,
+      forbidEmail: true
+    }, 'Secret-123', function (names) {
+      expect(names).to.deep.equal([]);
+
+      done();
+    });
+  });
+
+  it('should report length rules with the configured limit', function (done) {
+    checkPasswordPolicy(policyOptions({
+      minLength: 8
+    }), 'short', user, function (err, failures) {
+      assert.ifError(err);
+      expect(failures).to.deep.equal([{
+        name: 'passwordTooShort',
+        message: 'too short 8'
+      }]);
+
+      failureNames({
+        maxLength: 4
+      }, 'too long', function (names) {
+        expect(names).to.deep.equal(['passwordTooLong']);
+
+        done();
+      });
+    });
+  });
+
+  it('should report each missing character class', function (done) {
+    failureNames({
+      requireLowercase: true,
+      requireUppercase: true,
+      requireDigit: true,
+      requireSymbol: true
+    }, 'lowercase', function (names) {
+      expect(names).to.deep.equal(['passwordMissingUppercase', 'passwordMissingDigit', 'passwordMissingSymbol']);
+
+      done();
+    });
+  });
+
+  it('should ban passwords containing the username or email case insensitively', function (done) {
+    failureNames({
+      forbidUsername: true,
+      forbidEmail: true
+    }, 'myHUGOpassword', function (names) {
+      expect(names).to.deep.equal(['passwordContainsUsername']);
+
+      failureNames({
+        forbidUsername: true,
+        forbidEmail: true
+      }, 'hugo.wiener!', function (names) {
+        expect(names).to.deep.equal(['passwordContainsUsername', 'passwordContainsEmail']);
+
+        done();
+      });
+    });
+  });
+
+  it('should add the failures returned by a custom validator', function (done) {
+    failureNames({
+      validate: function (password) {
+        return password === 'password' ? [{
+          name: 'passwordTooCommon',
+          message: 'common'
+        }, 'another'] : null;
+      }
+    }, 'password', function (names) {
+      expect(names).to.deep.equal(['passwordTooCommon', 'passwordInvalid']);
+
+      done();
+    });
+  });
+
+  it('should support custom validators taking a callback', function (done) {
+    checkPasswordPolicy(policyOptions({
+      validate: function (password, user, cb) {
+        setTimeout(function () {
+          cb(null, {
+            name: 'passwordPwned'
+          });
+        });
+      }
+    }), 'password', user, function (err, failures) {
+      assert.ifError(err);
+      expect(failures).to.deep.equal([{
+        name: 'passwordPwned',
+        message: 'invalid'
+      }]);
+
+      done();
+    });
+  });
+});
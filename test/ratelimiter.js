@@ -0,0 +1,124 @@
+var RateLimiter = require('../lib/ratelimiter');
+var assert = require('assert');
+
+var request = function (ip) {
+  return {
+    ip: ip
+  };
+};
+
+describe('RateLimiter', function () {
+  it('should limit attempts per client IP', function (done) {
+    var limiter = new RateLimiter({
+      ip: { limit: 1, window: 60000 }
+    });
+
+    limiter.hit(request('10.0.0.1'), function (err, hit) {
+      assert.ifError(err);
+      assert.equal(0, hit.retryAfter);
+      assert.deepEqual(['login:ip:10.0.0.1'], hit.keys);
+
+      limiter.hit(request('10.0.0.1'), function (err, hit) {
+        assert.ifError(err);
+        assert.ok(hit.retryAfter > 59000 && hit.retryAfter <= 60000);
+
+        limiter.hit(request('10.0.0.2'), function (err, hit) {
+          assert.ifError(err);
+          assert.equal(0, hit.retryAfter);
+
+          done();
+        });
+      });
+    });
+  });
+
+  it('should limit attempts across all clients', function (done) {
+    var limiter = new RateLimiter({
+      ip: false,
+      global: { limit: 1, window: 60000 }
+    });
+
+    limiter.hit(request('10.0.0.1'), function (err, hit) {
+      assert.ifError(err);
+      assert.equal(0, hit.retryAfter);
+
+      limiter.hit(request('10.0.0.2'), function (err, hit) {
+        assert.ifError(err);
+        assert.ok(hit.retryAfter > 0);
+
+        done();
+      });
+    });
+  });
+
+  it('should not count released attempts', function (done) {
+    var limiter = new RateLimiter({
+      ip: { limit: 1 }
+    });
+
+    limiter.hit(request('10.0.0.1'), function (err, hit) {
+      assert.ifError(err);
+
+      limiter.release(hit.keys, function (err) {
+        assert.ifError(err);
+
+        limiter.hit(request('10.0.0.1'), function (err, hit) {
+          assert.ifError(err);
+          assert.equal(0, hit.retryAfter);
+
+          done();
+        });
+      });
+    });
+  });
+
+  it('should work with stores returning promises', function (done) {
+    var counts = {};
+    var limiter = new RateLimiter({
+      store: {
+        increment: function (key, window) {
+          counts[key] = (counts[key] || 0) + 1;
+
+          return Promise.resolve({
+            count: counts[key],
+            resetAt: Date.now() + window
+          });
+        },
+        decrement: function () {
+          return Promise.resolve();
+        }
+      },
+      clientIp: function (req) {
+        return req.headers['x-forwarded-for'];
+      }
+    });
+
+    limiter.hit({
+      headers: {
+        'x-forwarded-for': '10.0.0.3'
+      }
+    }, function (err, hit) {
+      assert.ifError(err);
+      assert.deepEqual(['login:ip:10.0.0.3'], hit.keys);
+      assert.equal(1, counts['login:ip:10.0.0.3']);
+
+      done();
+    });
+  });
+
+  it('should pass store errors on', function (done) {
+    var limiter = new RateLimiter({
+      store: {
+        increment: function (key, window, cb) {
+          cb(new Error('store down'));
+        }
+      }
+    });
+
+    limiter.hit(request('10.0.0.1'), function (err) {
+      assert.equal('store down', err.message);
+
+      done();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+var throttle = require('../lib/throttle');
+var assert = require('assert');
+
+describe('throttle', function () {
+  describe('#exponential()', function () {
+    var policy = throttle.exponential({
+      interval: 100,
+      maxInterval: 300000
+    });
+
+    it('should wait longer with every failure', function () {
+      var first = policy.wait({ attempts: 1, last: 1000 }, 1000);
+      var second = policy.wait({ attempts: 2, last: 1000 }, 1000);
+
+      assert.ok(first > 0);
+      assert.ok(second > first);
+      assert.equal(0, policy.wait({ attempts: 2, last: 1000 }, 1000 + second));
+    });
+
+    it('should wait at most maxInterval', function () {
+      assert.equal(300000, policy.wait({ attempts: 1000, last: 1000 }, 1000));
+    });
+  });
+
+  describe('#fixedWindow()', function () {
+    var policy = throttle.fixedWindow({
+      limit: 2,
+      window: 1000
+    });
+
+    it('should allow limit attempts per window', function () {
+      var state = policy.update(undefined, 0);
+      assert.equal(0, policy.wait({ state: state }, 100));
+
+      state = policy.update(state, 100);
+      assert.equal(700, policy.wait({ state: state }, 300));
+      assert.equal(0, policy.wait({ state: state }, 1000));
+      assert.deepEqual({ start: 1000, count: 1 }, policy.update(state, 1000));
+    });
+  });
+
+  describe('#tokenBucket()', function () {
+    var policy = throttle.tokenBucket({
+      capacity: 2,
+      refillInterval: 1000
+    });
+
+    it('should refill a token every refillInterval', function () {
+      assert.equal(0, policy.wait({}, 0));
+
+      var state = policy.update(policy.update(undefined, 0), 0);
+      assert.equal(1000, policy.wait({ state: state }, 0));
+      assert.equal(250, policy.wait({ state: state }, 750));
+      assert.equal(0, policy.wait({ state: state }, 1000));
+      assert.equal(2, policy.update(state, 5000).tokens + 1);
+    });
+  });
+
+  describe('#policy()', function () {
+    it('should build the exponential policy from the plugin options by default', function () {
+      var policy = throttle.policy(undefined, {
+        interval: 100,
+        maxInterval: 500
+      });
+
+      assert.equal(500, policy.wait({ attempts: 1000, last: 0 }, 0));
+    });
+
+    it('should accept policy names, settings objects, functions and policy objects', function () {
+      assert.equal('function', typeof throttle.policy('tokenBucket', {}).update);
+      assert.equal('function', typeof throttle.policy({ policy: 'fixedWindow', limit: 3 }, {}).update);
+
+      var wait = function () {
+        return 42;
+      };
+      assert.equal(42, throttle.policy(wait, {}).wait());
+
+      var custom = { wait: wait };
+      assert.strictEqual(custom, throttle.policy(custom, {}));
+    });
+
+    it('should throw on unknown policies', function () {
+      assert.throws(function () {
+        throttle.policy('leakyBucket', {});
+      }, /Unknown throttling policy "leakyBucket"/);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+var tokens = require('../lib/tokens');
+var assert = require('assert');
+
+describe('tokens', function () {
+  describe('#generate()', function () {
+    it('should generate random hex tokens of the given size in bytes', function (done) {
+      tokens.generate(16, function (err, token) {
+        assert.ifError(err);
+        assert.ok(/^[0-9a-f]{32}$/.test(token));
+
+        tokens.generate(16, function (err, otherToken) {
+          assert.ifError(err);
+          assert.notEqual(token, otherToken);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#digits()', function () {
+    it('should generate numeric codes of the given length', function (done) {
+      tokens.digits(8, function (err, code) {
+        assert.ifError(err);
+        assert.ok(/^[0-9]{8}$/.test(code));
+
+        done();
+      });
+    });
+  });
+
+  describe('#hash()', function () {
+    it('should hash tokens with sha256', function () {
+      assert.equal('2c26b46b68ffc68ff99b453c1d30413413422d706483bfa0f98a5e886266e7ae', tokens.hash('foo'));
+    });
+  });
+
+  describe('#equal()', function () {
+    it('should compare token hashes', function () {
+      assert.ok(tokens.equal(tokens.hash('foo'), tokens.hash('foo')));
+      assert.ok(!tokens.equal(tokens.hash('foo'), tokens.hash('bar')));
+      assert.ok(!tokens.equal(tokens.hash('foo'), undefined));
+    });
+  });
+
+  describe('#sign() and #unsign()', function () {
+    it('should yield the parts of a signed token', function () {
+      var token = tokens.sign(['id', 'nonce', 42], 'secret');
+
+      assert.deepEqual(['id', 'nonce', '42'], tokens.unsign(token, 'secret'));
+    });
+
+    it('should reject tampered tokens', function () {
+      var token = tokens.sign(['id', 'nonce', 42], 'secret');
+
+      assert.equal(null, tokens.unsign(token.replace('42', '43'), 'secret'));
+      assert.equal(null, tokens.unsign(token, 'other secret'));
+      assert.equal(null, tokens.unsign('garbage', 'secret'));
+    });
+
+    it('should reject tokens that are not strings', function () {
+      var token = tokens.sign(['id', 'nonce', 42], 'secret');
+
+      assert.equal(null, tokens.unsign([token], 'secret'));
+      assert.equal(null, tokens.unsign(undefined, 'secret'));
+    });
+  });
+});
@@ -0,0 +1,172 @@
+var TokenStrategy = require('../lib/tokenstrategy');
+var assert = require('assert');
+
+var strategy = function (verify) {
+  return new TokenStrategy({
+    name: 'test',
+    extract: function (req) {
+      var token = TokenStrategy.param(req, 'token');
+
+      return token && {
+        token: token
+      };
+    }
+  }, verify);
+};
+
+describe('TokenStrategy', function () {
+  it('should fail with missingCredentials if the request has no credentials', function (done) {
+    var s = strategy(function () {
+      throw new Error('verify should not be called');
+    });
+
+    s.fail = function (info, status) {
+      assert.equal('missingCredentials', info.result);
+      assert.equal(400, status);
+
+      done();
+    };
+
+    s.authenticate({
+      query: {}
+    });
+  });
+
+  it('should pass the request and credentials to verify and succeed with the user', function (done) {
+    var req = {
+      body: {
+        token: 'abc'
+      }
+    };
+    var s = strategy(function (r, credentials, cb) {
+      assert.strictEqual(req, r);
+      assert.equal('abc', credentials.token);
+
+      cb(null, {
+        name: 'hugo'
+      });
+    });
+
+    s.success = function (user) {
+      assert.equal('hugo', user.name);
+
+      done();
+    };
+
+    s.authenticate(req);
+  });
+
+  it('should fail with the info of verify', function (done) {
+    var s = strategy(function (req, credentials, cb) {
+      cb(null, false, {
+        result: 'magicLinkUsed'
+      });
+    });
+
+    s.fail = function (info) {
+      assert.equal('magicLinkUsed', info.result);
+
+      done();
+    };
+
+    s.authenticate({
+      query: {
+        token: 'abc'
+      }
+    });
+  });
+
+  it('should pass errors of verify on', function (done) {
+    var s = strategy(function (req, credentials, cb) {
+      cb(new Error('boom'));
+    });
+
+    s.error = function (err) {
+      assert.equal('boom', err.message);
+
+      done();
+    };
+
+    s.authenticate({
+      query: {
+        token: 'abc'
+      }
+    });
+  });
+
+  it('should pass requests without credentials on if optional', function (done) {
+    var s = new TokenStrategy({
+      name: 'test',
+      optional: true,
+      extract: function () {}
+    }, function () {
+      throw new Error('verify should not be called');
+    });
+
+    s.pass = done;
+
+    s.authenticate({});
+  });
+
+  describe('.param()', function () {
+    it('should read the query string before the body', function () {
+      assert.equal('abc', TokenStrategy.param({
+        query: {
+          token: 'abc'
+        },
+        body: {
+          token: 'def'
+        }
+      }, 'token'));
+      assert.equal('def', TokenStrategy.param({
+        query: {},
+        body: {
+          token: 'def'
+        }
+      }, 'token'));
+    });
+
+    it('should only read strings', function () {
+      assert.equal(undefined, TokenStrategy.param({
+        query: {
+          token: ['abc.def']
+        },
+        body: {
+          token: {
+            $ne: null
+          }
+        }
+      }, 'token'));
+    });
+  });
+
+  describe('.cookie()', function () {
+    it('should read cookies parsed by cookie-parser', function () {
+      assert.equal('abc', TokenStrategy.cookie({
+        cookies: {
+          token: 'abc'
+        }
+      }, 'token'));
+    });
+
+    it('should read cookies from the Cookie header', function () {
+      var req = {
+        headers: {
+          cookie: 'other=1; token=a%2Eb; last=2'
+        }
+      };
+
+      assert.equal('a.b', TokenStrategy.cookie(req, 'token'));
+      assert.equal(undefined, TokenStrategy.cookie(req, 'missing'));
+      assert.equal(undefined, TokenStrategy.cookie({}, 'token'));
+    });
+
+    it('should only read strings', function () {
+      assert.equal(undefined, TokenStrategy.cookie({
+        cookies: {
+          token: ['abc']
+        }
+      }, 'token'));
+    });
+  });
+});
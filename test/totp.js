@@ -0,0 +1,84 @@
+var totp = require('../lib/totp');
+var assert = require('assert');
+
+// the SHA1 secret of the RFC 6238 test vectors
+var secret = totp.encode(Buffer.from('12345678901234567890'));
+
+describe('totp', function () {
+  describe('#encode() and #decode()', function () {
+    it('should convert between buffers and base32', function () {
+      assert.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', secret);
+      assert.equal('12345678901234567890', totp.decode(secret).toString());
+      assert.equal('MZXW6', totp.encode(Buffer.from('foo')));
+      assert.equal('foo', totp.decode('mzxw6===').toString());
+    });
+
+    it('should throw on invalid base32', function () {
+      assert.throws(function () {
+        totp.decode('M1');
+      }, /base32/);
+    });
+  });
+
+  describe('#generate()', function () {
+    it('should match the RFC 6238 test vectors', function () {
+      [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+      ].forEach(function (vector) {
+        assert.equal(vector[1], totp.generate(secret, {
+          time: vector[0] * 1000,
+          digits: 8
+        }));
+      });
+    });
+  });
+
+  describe('#verify()', function () {
+    it('should accept codes within the window and yield their time step', function () {
+      var time = 1111111111000;
+      var step = totp.step(time, 30);
+      var previous = totp.generate(secret, {
+        time: time - 30000
+      });
+
+      assert.equal(step - 1, totp.verify(secret, previous, {
+        time: time
+      }));
+      assert.equal(-1, totp.verify(secret, previous, {
+        time: time,
+        window: 0
+      }));
+      assert.equal(-1, totp.verify(secret, totp.generate(secret, {
+        time: time - 90000
+      }), {
+        time: time
+      }));
+    });
+  });
+
+  describe('#generateSecret()', function () {
+    it('should generate a 160 bit base32 secret', function (done) {
+      totp.generateSecret(function (err, generated) {
+        assert.ifError(err);
+        assert.equal(20, totp.decode(generated).length);
+
+        done();
+      });
+    });
+  });
+
+  describe('#uri()', function () {
+    it('should build an otpauth URI', function () {
+      assert.equal('otpauth://totp/Example:hugo%40example.com?secret=' + secret +
+        '&issuer=Example&algorithm=SHA1&digits=6&period=30', totp.uri(secret, {
+          account: 'hugo@example.com',
+          issuer: 'Example'
+        }));
+    });
+  });
+});